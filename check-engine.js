@@ -0,0 +1,125 @@
+/**
+ * Bulb It - Engine checks
+ * Regression checks for the split/slide/vanish rules of the headless engine.
+ * There is no test runner; run with `node check-engine.js` (exits 1 on a failure).
+ */
+
+const assert = require('assert');
+const Engine = require('./engine.js');
+
+const { WALL, SINK } = Engine.Cell;
+const checks = [];
+
+/**
+ * Registers a named check
+ * @param {string} name - What is being checked
+ * @param {Function} run - Throws if the check fails
+ */
+function check(name, run) {
+  checks.push({ name, run });
+}
+
+// === Split and Slide ===
+check('a tile splits in two and the half slides to the far end', () => {
+  const result = Engine.move([[8, null, null]], 'ArrowRight');
+  assert.strictEqual(result.changed, true);
+  assert.deepStrictEqual(result.board, [[4, null, 4]]);
+});
+
+check('a tile against the edge or another tile does not split', () => {
+  const result = Engine.move([[8, 4]], 'ArrowRight');
+  assert.strictEqual(result.changed, false);
+  assert.deepStrictEqual(result.board, [[8, 4]]);
+});
+
+check('tiles on the leading edge split first', () => {
+  const result = Engine.move([[8], [null], [16], [null]], 'ArrowDown');
+  assert.deepStrictEqual(result.board, [[4], [4], [8], [8]]);
+});
+
+check('a move does not change the board it is given', () => {
+  const board = [[8, null, null]];
+  Engine.move(board, 'ArrowRight');
+  assert.deepStrictEqual(board, [[8, null, null]]);
+});
+
+check('an unknown direction throws', () => {
+  assert.throws(() => Engine.move([[8, null]], 'Up'), /Unknown direction/);
+});
+
+// === Vanish ===
+check('halves of the vanish value clear and score a point each', () => {
+  const result = Engine.move([[4, null, null]], 'ArrowRight');
+  assert.deepStrictEqual(result.board, [[null, null, null]]);
+  assert.deepStrictEqual(result.splitBoard, [[2, null, 2]]);
+  assert.strictEqual(result.scoreGain, 2);
+  assert.strictEqual(result.events.filter(event => event.type === 'vanish').length, 2);
+  assert.strictEqual(Engine.Board.isCleared(result.board), true);
+});
+
+check('a 2 that was not split this move stays', () => {
+  const result = Engine.move([[2, 8, null]], 'ArrowRight');
+  assert.deepStrictEqual(result.board, [[2, 4, 4]]);
+  assert.strictEqual(result.scoreGain, 0);
+});
+
+// === Special Cells ===
+check('walls stop a sliding half', () => {
+  const result = Engine.move([[8, null, WALL, null]], 'ArrowRight');
+  assert.deepStrictEqual(result.board, [[4, 4, WALL, null]]);
+});
+
+check('sinks swallow a sliding half', () => {
+  const result = Engine.move([[8, null, SINK]], 'ArrowRight');
+  assert.deepStrictEqual(result.board, [[4, null, SINK]]);
+  assert.ok(result.events.some(event => event.type === 'sink'));
+});
+
+check('a locked tile does not split and unlocks when a neighbour clears', () => {
+  const locked = Engine.Cell.lock(8);
+  assert.strictEqual(Engine.move([[locked, null]], 'ArrowRight').changed, false);
+
+  const result = Engine.move([[locked, 4, null]], 'ArrowRight');
+  assert.deepStrictEqual(result.board, [[8, null, null]]);
+  assert.ok(result.events.some(event => event.type === 'unlock'));
+});
+
+// === Rules ===
+check('a position with no possible split has no available move', () => {
+  assert.strictEqual(Engine.Rules.hasAvailableMove([[4]]), false);
+  assert.strictEqual(Engine.Rules.hasAvailableMove([[4, WALL], [WALL, null]]), false);
+  assert.strictEqual(Engine.Rules.hasAvailableMove([[4, null]]), true);
+});
+
+// === Spawns and Randomness ===
+check('a spawned tile is placed before the split', () => {
+  const result = Engine.move([[null, null, null]], 'ArrowRight', {
+    spawn: () => ({ row: 0, col: 0, value: 8 })
+  });
+  assert.strictEqual(result.events[0].type, 'spawn');
+  assert.deepStrictEqual(result.board, [[4, null, 4]]);
+});
+
+check('equal seeds give equal random streams', () => {
+  const draw = seed => {
+    const stream = Engine.Random.create(seed);
+    return Array.from({ length: 5 }, () => Engine.Random.next(stream));
+  };
+  assert.deepStrictEqual(draw('bulb'), draw('bulb'));
+  assert.notDeepStrictEqual(draw('bulb'), draw('other'));
+});
+
+// === Run ===
+let failed = 0;
+checks.forEach(({ name, run }) => {
+  try {
+    run();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`not ok - ${name}\n  ${error.message.split('\n').join('\n  ')}`);
+  }
+});
+
+console.log(`${checks.length - failed}/${checks.length} checks passed`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,557 @@
+/**
+ * Bulb It - Headless game engine
+ * Pure split/slide/vanish rules shared by the browser UI and Node tooling.
+ * Boards are plain 2D arrays of cells (see Cell); nothing here touches the DOM
+ * or any module-level game state.
+ *
+ * In Node: const BulbEngine = require('./engine.js');
+ * Rule checks: node check-engine.js
+ */
+
+const BulbEngine = (() => {
+  // === Constants ===
+  const VANISH_VALUE = 2;
+
+  // Direction deltas for movement
+  const DIRECTION_DELTAS = {
+    'ArrowUp': [-1, 0],
+    'ArrowDown': [1, 0],
+    'ArrowLeft': [0, -1],
+    'ArrowRight': [0, 1]
+  };
+
+  // Special cells that take up a square but are not tiles
+  const WALL = 'wall';
+  const SINK = 'sink';
+
+  /**
+   * A cell is null (empty), a tile value, a locked tile (its value negated),
+   * WALL or SINK
+   * @typedef {number|string|null} CellValue
+   */
+
+  /**
+   * @typedef {Array<Array<CellValue>>} Board
+   */
+
+  /**
+   * @typedef {Object} MoveEvent
+   * @property {string} type - 'spawn' | 'split' | 'slide' | 'sink' | 'vanish' | 'unlock' | 'score'
+   */
+
+  /**
+   * @typedef {Object} MoveResult
+   * @property {Board} board - Board after the move has fully settled
+   * @property {Board} splitBoard - Board after splitting, before vanishing
+   * @property {boolean} changed - Whether any tile split
+   * @property {number} scoreGain - Points earned by vanished tiles
+   * @property {Array<MoveEvent>} events - Ordered list of what happened
+   * @property {string} direction - Direction the move was made in
+   */
+
+  // === Cell Helpers ===
+  const Cell = {
+    WALL,
+    SINK,
+
+    /**
+     * Locks a tile so it can't split until a neighbouring tile clears
+     * @param {number} value - Tile value
+     * @returns {number} Locked cell
+     */
+    lock(value) {
+      return -Math.abs(value);
+    },
+
+    /**
+     * Checks whether cell holds a tile, locked or not
+     * @param {CellValue} cell - Cell
+     * @returns {boolean} Is a tile
+     */
+    isTile(cell) {
+      return typeof cell === 'number';
+    },
+
+    /**
+     * Checks whether cell holds a locked tile
+     * @param {CellValue} cell - Cell
+     * @returns {boolean} Is locked
+     */
+    isLocked(cell) {
+      return typeof cell === 'number' && cell < 0;
+    },
+
+    /**
+     * Gets tile value of a cell, ignoring the lock
+     * @param {CellValue} cell - Cell
+     * @returns {number} Tile value, or 0 for non-tiles
+     */
+    getValue(cell) {
+      return this.isTile(cell) ? Math.abs(cell) : 0;
+    },
+
+    /**
+     * Checks whether a sliding tile may move into the cell
+     * @param {CellValue} cell - Cell
+     * @returns {boolean} Cell is empty or a sink
+     */
+    canEnter(cell) {
+      return cell === null || cell === SINK;
+    },
+
+    /**
+     * Validates a stored cell
+     * @param {*} cell - Cell to check
+     * @returns {boolean} Is null, WALL, SINK or a power-of-two tile
+     */
+    isValid(cell) {
+      if (cell === null || cell === WALL || cell === SINK) return true;
+      const value = Math.abs(cell);
+      return Number.isInteger(cell) && value > 0 && (value & (value - 1)) === 0;
+    }
+  };
+
+  // === Board Helpers ===
+  const Board = {
+    /**
+     * Creates empty board
+     * @param {number} rows - Row count
+     * @param {number} [cols=rows] - Column count
+     * @returns {Board} Empty board
+     */
+    create(rows, cols = rows) {
+      return Array.from({ length: rows }, () => Array(cols).fill(null));
+    },
+
+    /**
+     * Deep clones board
+     * @param {Board} board - Board to clone
+     * @returns {Board} Cloned board
+     */
+    clone(board) {
+      return board.map(row => [...row]);
+    },
+
+    /**
+     * Validates position against board bounds
+     * @param {Board} board - Board to check
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} Is valid position
+     */
+    isValidPosition(board, row, col) {
+      return Number.isInteger(row) && Number.isInteger(col) &&
+             row >= 0 && row < board.length &&
+             col >= 0 && col < (board[0]?.length ?? 0);
+    },
+
+    /**
+     * Gets all empty cell positions
+     * @param {Board} board - Board to scan
+     * @returns {Array<[number, number]>} Array of empty positions
+     */
+    getEmptyCells(board) {
+      const emptyCells = [];
+      board.forEach((row, r) => {
+        row.forEach((value, c) => {
+          if (value === null) emptyCells.push([r, c]);
+        });
+      });
+      return emptyCells;
+    },
+
+    /**
+     * Calculates total board value sum
+     * @param {Board} board - Board to sum
+     * @returns {number} Sum of all tile values, locked or not
+     */
+    sum(board) {
+      return board.flat().reduce((sum, cell) => sum + Cell.getValue(cell), 0);
+    },
+
+    /**
+     * Checks whether no tiles are left; walls and sinks stay forever
+     * @param {Board} board - Board to check
+     * @returns {boolean} Board is cleared
+     */
+    isCleared(board) {
+      return board.every(row => row.every(cell => !Cell.isTile(cell)));
+    },
+
+    /**
+     * Checks if two boards are identical
+     * @param {Board} board1 - First board
+     * @param {Board} board2 - Second board
+     * @returns {boolean} True if boards are identical
+     */
+    areIdentical(board1, board2) {
+      if (board1.length !== board2.length || board1[0]?.length !== board2[0]?.length) {
+        return false;
+      }
+      return board1.every((row, r) => row.every((value, c) => value === board2[r][c]));
+    },
+
+    /**
+     * Places tiles on random empty cells of a board
+     * @param {Board} board - Board to place on
+     * @param {Array<number>} tiles - Tile values to place
+     * @param {Function} [rng=Math.random] - Random source in [0, 1)
+     * @returns {Board} New board with the tiles placed
+     */
+    placeTiles(board, tiles, rng = Math.random) {
+      const newBoard = this.clone(board);
+      const positions = Random.shuffle(this.getEmptyCells(newBoard), rng);
+
+      tiles.forEach((value, index) => {
+        if (index < positions.length) {
+          const [r, c] = positions[index];
+          newBoard[r][c] = value;
+        }
+      });
+      return newBoard;
+    },
+
+    /**
+     * Finds where a tile starting at a position comes to rest when sliding.
+     * Tiles, walls and the board edge stop it; a sink catches it.
+     * @param {Board} board - Board the slide happens on
+     * @param {number} row - Starting row
+     * @param {number} col - Starting column
+     * @param {number} deltaRow - Row movement delta
+     * @param {number} deltaCol - Column movement delta
+     * @returns {[number, number]} New position
+     */
+    findNewPosition(board, row, col, deltaRow, deltaCol) {
+      if (board[row][col] === SINK) return [row, col];
+
+      let newRow = row + deltaRow;
+      let newCol = col + deltaCol;
+
+      while (this.isValidPosition(board, newRow, newCol) &&
+             board[newRow][newCol] === null) {
+        row = newRow;
+        col = newCol;
+        newRow += deltaRow;
+        newCol += deltaCol;
+      }
+
+      if (this.isValidPosition(board, newRow, newCol) && board[newRow][newCol] === SINK) {
+        return [newRow, newCol];
+      }
+      return [row, col];
+    }
+  };
+
+  // === Rules ===
+  const Rules = {
+    /**
+     * Validates cell value for splitting; locked tiles, walls and sinks never split
+     * @param {CellValue} value - Cell value
+     * @returns {boolean} Can split
+     */
+    canSplit(value) {
+      return typeof value === 'number' && value >= 2;
+    },
+
+    /**
+     * Gets processing order based on movement direction, leading edge first
+     * @param {Board} board - Board being processed
+     * @param {number} deltaRow - Row delta
+     * @param {number} deltaCol - Column delta
+     * @returns {Array<[number, number]>} Processing order array
+     */
+    getProcessingOrder(board, deltaRow, deltaCol) {
+      const rowCount = board.length;
+      const colCount = board[0]?.length ?? 0;
+      const rows = Array.from({ length: rowCount }, (_, i) => deltaRow > 0 ? rowCount - 1 - i : i);
+      const cols = Array.from({ length: colCount }, (_, i) => deltaCol > 0 ? colCount - 1 - i : i);
+
+      const order = [];
+      for (const r of rows) {
+        for (const c of cols) {
+          order.push([r, c]);
+        }
+      }
+      return order;
+    },
+
+    /**
+     * Checks if any tile on the board can split in some direction
+     * @param {Board} board - Board to check
+     * @returns {boolean} True if a move is possible
+     */
+    hasAvailableMove(board) {
+      return board.some((row, r) => row.some((value, c) => {
+        if (!this.canSplit(value)) return false;
+        return Object.values(DIRECTION_DELTAS).some(([dr, dc]) =>
+          Board.isValidPosition(board, r + dr, c + dc) && Cell.canEnter(board[r + dr][c + dc])
+        );
+      }));
+    }
+  };
+
+  // === Seeded Random ===
+  /**
+   * @typedef {Object} RandomStream
+   * @property {string} seed - Seed the stream was created from
+   * @property {number} state - Current 32-bit generator state
+   */
+
+  const Random = {
+    /**
+     * Generates a short random seed string
+     * @returns {string} New seed
+     */
+    generateSeed() {
+      return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+    },
+
+    /**
+     * Hashes a seed string into a 32-bit state (FNV-1a)
+     * @param {string|number} seed - Seed to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    hashSeed(seed) {
+      let hash = 0x811c9dc5;
+      for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return hash >>> 0;
+    },
+
+    /**
+     * Creates a seeded random stream. The stream is plain data, so it can be
+     * cloned, stored and restored to replay the exact same draws.
+     * @param {string|number} seed - Seed
+     * @returns {RandomStream} Random stream
+     */
+    create(seed) {
+      return { seed: String(seed), state: this.hashSeed(seed) };
+    },
+
+    /**
+     * Draws next number from a stream (mulberry32)
+     * @param {RandomStream} stream - Stream to advance (mutated)
+     * @returns {number} Number in [0, 1)
+     */
+    next(stream) {
+      stream.state = (stream.state + 0x6D2B79F5) >>> 0;
+      let t = stream.state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * Wraps a stream as a Math.random-like function
+     * @param {RandomStream} stream - Stream to draw from
+     * @returns {Function} Random source in [0, 1)
+     */
+    toFunction(stream) {
+      return () => this.next(stream);
+    },
+
+    /**
+     * Shuffles array in place (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @param {Function} [rng=Math.random] - Random source in [0, 1)
+     * @returns {Array} The shuffled array
+     */
+    shuffle(items, rng = Math.random) {
+      for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+      }
+      return items;
+    }
+  };
+
+  // === Move Resolution ===
+
+  /**
+   * Processes individual cell movement
+   * @private
+   * @param {Board} board - Board before the move
+   * @param {Board} newGrid - Target board
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @param {number} deltaRow - Row delta
+   * @param {number} deltaCol - Column delta
+   * @param {Array<MoveEvent>} events - Event list to append to
+   * @returns {boolean} Whether cell was split
+   */
+  function processCellMove(board, newGrid, row, col, deltaRow, deltaCol, events) {
+    const value = board[row][col];
+    const [nextRow, nextCol] = [row + deltaRow, col + deltaCol];
+
+    if (!Rules.canSplit(value) ||
+        !Board.isValidPosition(board, nextRow, nextCol) ||
+        !Cell.canEnter(board[nextRow][nextCol])) {
+      newGrid[row][col] = value;
+      return false;
+    }
+
+    return applySplit(board, newGrid, row, col, deltaRow, deltaCol, events);
+  }
+
+  /**
+   * Applies cell splitting logic: one half stays, the other slides away
+   * and is swallowed if it ends up in a sink
+   * @private
+   */
+  function applySplit(board, newGrid, row, col, deltaRow, deltaCol, events) {
+    const splitValue = board[row][col] / 2;
+    const [targetRow, targetCol] = Board.findNewPosition(
+      board, row + deltaRow, col + deltaCol, deltaRow, deltaCol
+    );
+    const swallowed = board[targetRow][targetCol] === SINK;
+
+    newGrid[row][col] = splitValue;
+    newGrid[targetRow][targetCol] = swallowed ? SINK : splitValue;
+
+    events.push(
+      { type: 'split', row, col, value: splitValue, deltaRow, deltaCol },
+      {
+        type: 'slide',
+        fromRow: row,
+        fromCol: col,
+        toRow: targetRow,
+        toCol: targetCol,
+        value: splitValue,
+        deltaRow,
+        deltaCol,
+        swallowed
+      }
+    );
+    if (swallowed) {
+      events.push({ type: 'sink', row: targetRow, col: targetCol, value: splitValue });
+    }
+    return true;
+  }
+
+  /**
+   * Removes tiles that reached the vanish value in this move
+   * @private
+   * @param {Board} board - Board after splitting (mutated)
+   * @param {Array<MoveEvent>} events - Event list to append to
+   * @returns {number} Score gained
+   */
+  function applyVanish(board, events) {
+    const splitCells = events.filter(event => event.type === 'slide' && event.value === VANISH_VALUE);
+    let scoreGain = 0;
+
+    splitCells.forEach(({ fromRow, fromCol, toRow, toCol }) => {
+      [[fromRow, fromCol], [toRow, toCol]].forEach(([row, col]) => {
+        if (board[row][col] !== VANISH_VALUE) return;
+        board[row][col] = null;
+        scoreGain += 1;
+        events.push({ type: 'vanish', row, col });
+      });
+    });
+
+    if (scoreGain > 0) {
+      events.push({ type: 'score', gain: scoreGain });
+    }
+    return scoreGain;
+  }
+
+  /**
+   * Unlocks locked tiles next to a cell whose tile cleared in this move
+   * @private
+   * @param {Board} before - Board at the start of the move
+   * @param {Board} board - Board after vanishing (mutated)
+   * @param {Array<MoveEvent>} events - Event list to append to
+   */
+  function applyUnlock(before, board, events) {
+    const neighbours = Object.values(DIRECTION_DELTAS);
+
+    board.forEach((cells, row) => cells.forEach((cell, col) => {
+      if (!Cell.isLocked(cell)) return;
+
+      const cleared = neighbours.some(([dr, dc]) =>
+        Board.isValidPosition(board, row + dr, col + dc) &&
+        Cell.isTile(before[row + dr][col + dc]) &&
+        board[row + dr][col + dc] === null
+      );
+      if (!cleared) return;
+
+      board[row][col] = Cell.getValue(cell);
+      events.push({ type: 'unlock', row, col, value: board[row][col] });
+    }));
+  }
+
+  /**
+   * Resolves a move on a board without mutating it
+   * @param {Board} board - Board before the move
+   * @param {string} direction - Direction key (ArrowUp, ArrowDown, etc.)
+   * @param {Object} [options] - Move options
+   * @param {Function} [options.spawn] - Called with the board before splitting;
+   *   returns a `{ row, col, value }` tile to place first, or null
+   * @returns {MoveResult} Move result
+   */
+  function move(board, direction, options = {}) {
+    const delta = DIRECTION_DELTAS[direction];
+    if (!delta) {
+      throw new Error(`Unknown direction: ${direction}`);
+    }
+
+    const [deltaRow, deltaCol] = delta;
+    const events = [];
+    const startBoard = Board.clone(board);
+
+    const spawned = options.spawn ? options.spawn(Board.clone(startBoard)) : null;
+    if (spawned && Board.isValidPosition(startBoard, spawned.row, spawned.col) &&
+        startBoard[spawned.row][spawned.col] === null) {
+      startBoard[spawned.row][spawned.col] = spawned.value;
+      events.push({ type: 'spawn', row: spawned.row, col: spawned.col, value: spawned.value });
+    }
+
+    const newGrid = Board.create(startBoard.length, startBoard[0]?.length ?? 0);
+    let changed = false;
+
+    for (const [row, col] of Rules.getProcessingOrder(startBoard, deltaRow, deltaCol)) {
+      if (startBoard[row][col] === null) continue;
+      changed = processCellMove(startBoard, newGrid, row, col, deltaRow, deltaCol, events) || changed;
+    }
+
+    const splitBoard = Board.clone(newGrid);
+    const scoreGain = applyVanish(newGrid, events);
+    applyUnlock(startBoard, newGrid, events);
+
+    return { board: newGrid, splitBoard, changed, scoreGain, events, direction };
+  }
+
+  /**
+   * Picks a spawn position and value for infinity mode
+   * @param {Board} board - Board to spawn on
+   * @param {Object} options - Spawn options
+   * @param {Function} options.pickValue - Returns the value to spawn; receives `rng`
+   * @param {number} options.threshold - Spawn only while the board sum is at most this
+   * @param {number} options.minEmpty - Spawn only while more cells than this are empty
+   * @param {Function} [options.rng=Math.random] - Random source in [0, 1)
+   * @returns {{row: number, col: number, value: number}|null} Spawn or null
+   */
+  function planSpawn(board, { pickValue, threshold, minEmpty, rng = Math.random }) {
+    const emptyCells = Board.getEmptyCells(board);
+    if (Board.sum(board) > threshold || emptyCells.length <= minEmpty) return null;
+
+    const [row, col] = emptyCells[Math.floor(rng() * emptyCells.length)];
+    return { row, col, value: pickValue(rng) };
+  }
+
+  return {
+    VANISH_VALUE,
+    DIRECTION_DELTAS,
+    Cell,
+    Board,
+    Rules,
+    Random,
+    move,
+    planSpawn
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BulbEngine;
+}
@@ -9,41 +9,182 @@
 const ANIMATION_DURATION = 300;
 const DEFAULT_SIZE = 9;
 const DEBOUNCE_TIME = 310;
-const MAX_HISTORY_SIZE = 30;
-const SWIPE_THRESHOLD = 30;
-const RANDOM_CELL_PROBABILITY = {
-  SMALL_GRID: 0.01,
-  LARGE_GRID: 0.05
+const MAX_HISTORY_SIZE = 500; // moves kept in the undo tree, across all branches
+const SWIPE = { CELL_FRACTION: 0.4, MIN_DISTANCE: 12 }; // a drag moves once it covers 40% of a cell (px minimum)
+const MOVE_QUEUE = { DEFAULT_DEPTH: 3, MAX_DEPTH: 10, DEEP: 2 }; // from DEEP queued moves on, animations may be skipped
+const DAILY_SIZE = 5;
+const BOARD_SIDE_LIMITS = { MIN: 3, MAX: 15 };
+const DAILY_CALENDAR_WEEKS = 5;
+// Timed games: infinity scores against the clock, quest speedruns clear a number of levels
+const TIMED = { SCORE_DURATION: 2 * 60 * 1000, SPEEDRUN_LEVELS: 5, MAX_SPEEDRUN_LEVELS: 20, TICK: 100 };
+const STATS_CHART_POINTS = 50; // latest games drawn in the statistics charts
+const STATS_CHART_SIZE = { WIDTH: 300, HEIGHT: 100, PADDING: 12 }; // SVG viewBox units
+const STATS_EXPORT_VERSION = 1;
+const STORAGE_SCHEMA_VERSION = 2; // see StorageService._migrations
+const GAME_DB = { NAME: 'bulb-it', VERSION: 1, STORE: 'games' };
+const GAME_RETENTION = { MAX_GAMES: 500, KEEP_GAMES: 400 }; // past MAX, older games roll up into totals
+const JSON_SALVAGE_ATTEMPTS = 100; // cut points tried when reading a damaged JSON value
+const STATS_CSV_COLUMNS = [
+  'timestamp', 'mode', 'rows', 'cols', 'moves', 'score',
+  'totalMoves', 'totalScore', 'cleared', 'par', 'daily', 'level', 'spawnPolicy'
+];
+const HINT_AUTO_NODES = 20000; // background check after every quest move
+const HINT_MAX_NODES = 150000; // search budget when the player asks for a hint
+const QUEST_GENERATION_ATTEMPTS = 3; // seeds tried before quest level generation gives up
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_DIFFICULTY = 'medium';
+const DAILY_DIFFICULTY = 'medium';
+const RECORDING_VERSION = 1;
+const SESSION_VERSION = 1;
+const REPLAY_STEP_TIME = 600;
+const REPLAY_SPEEDS = [1, 2, 4];
+const LEVEL_VERSION = 1;
+const LEVEL_CODE_LETTERS = 'abcdefghijklmnopqrstuvwxyz'; // a = 2, b = 4, c = 8, ...
+const EDITOR_TILE_EXPONENTS = { MIN: 1, MAX: 12 }; // editor palette: 2 ... 4096
+const EDITOR_LOCK_TOOL = 'lock'; // palette tool that locks and unlocks tiles
+const BUILT_IN_PACKS = ['packs/starter.json', 'packs/puzzles.json'];
+const STAR_PAR_RATIOS = [1.5, 1]; // one extra star within 1.5x par, another at par or better
+const ACHIEVEMENT_TOAST_TIME = 4000;
+const ANNOUNCE_DELAY = 50; // the move announcer is emptied first, so a repeated message is read again
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// Infinity spawn policies (see SpawnService). A move spawns a tile with chance `rate`, while
+// the board sum is at most `threshold` times the board's longer side. A spawned tile is the
+// largest starting tile divided by a divisor, picked by weight: [divisor, weight].
+const SPAWN_POLICIES = {
+  relaxed: { values: [[4, 0.1], [8, 0.9]], rate: 0.7, threshold: 20 },
+  classic: { values: [[2, 0.2], [4, 0.8]], rate: 1, threshold: 25 },
+  brutal: { values: [[1, 0.1], [2, 0.4], [4, 0.5]], rate: 1, threshold: 40 }
 };
+const DEFAULT_SPAWN_POLICY = 'classic';
+// Custom policy settings: spawn chance and big (half-size) tile share in percent, threshold as above
+const CUSTOM_SPAWN_LIMITS = { rate: [10, 100], threshold: [5, 100], bigShare: [0, 100] };
+const DEFAULT_CUSTOM_SPAWN = { rate: 100, threshold: 25, bigShare: 20 };
+const SPAWN_PREVIEW_SIZE = 2; // upcoming spawn values drawn ahead and shown next to the board
 
 // Performance optimization constants
 const BATCH_UPDATE_DELAY = 16; // ~60fps
 const DOM_CACHE_REFRESH_INTERVAL = 1000;
 
-// Initial tile values by grid size
-const INITIAL_TILES = {
-  4: [128, 64, 32, 32, 16, 8],
-  5: [256, 128, 64, 32, 8],
-  7: [2048, 1024, 512, 128, 64, 32, 32],
-  9: [2048, 1024, 1024, 512, 512, 256, 128],
-  11: [4096, 2048, 2048, 2048, 1024, 1024, 1024, 512, 256]
+// Starting tiles and spawn values of boards without tuned tiles, derived from the area (see GridService)
+const TILE_FORMULA = {
+  TOP_EXPONENT_PER_AREA_BIT: 1.75, // largest starting tile is 2^(1.75 * log2(cells))
+  BASE_TILE_COUNT: 3, // starting tiles: 3 + sqrt(cells) / 2, each half the previous
+  TILES_PER_SIDE: 0.5
+};
+// The original square sizes keep their hand-tuned starting tiles. `spawnTop` stands in for the
+// largest starting tile when picking spawn values, so classic spawns stay 32/64 on 4x4 and so on.
+const TUNED_TILES = {
+  4: { initial: [128, 64, 32, 32, 16, 8], spawnTop: 128 },
+  5: { initial: [256, 128, 64, 32, 8], spawnTop: 256 },
+  7: { initial: [2048, 1024, 512, 128, 64, 32, 32], spawnTop: 2048 },
+  9: { initial: [2048, 1024, 1024, 512, 512, 256, 128], spawnTop: 4096 },
+  11: { initial: [4096, 2048, 2048, 2048, 1024, 1024, 1024, 512, 256], spawnTop: 4096 }
+};
+
+// Walls, sinks and locked tiles in generated quest levels, per 25 board cells
+const QUEST_SPECIAL_CELLS = {
+  easy: { walls: 0, sinks: 0, locked: 0 },
+  medium: { walls: 1, sinks: 0, locked: 1 },
+  hard: { walls: 1, sinks: 1, locked: 1 }
+};
+
+// Achievements (see AchievementService). `measure` names the value tracked towards `goal`:
+// the best value seen, or the running sum for `total` ones. `rows`/`cols` limit it to one board size.
+const ACHIEVEMENTS = [
+  { id: 'first-clear', name: 'lights out', description: 'clear a quest level', measure: 'questClear', goal: 1 },
+  {
+    id: 'quick-7x7', name: 'quick study', description: 'clear a 7x7 quest level in 20 moves or fewer',
+    measure: 'questClear', rows: 7, cols: 7, maxMoves: 20, goal: 1
+  },
+  { id: 'four-pairs', name: 'chain reaction', description: 'vanish 4 pairs in one move', measure: 'pairs', goal: 4 },
+  { id: 'quest-streak', name: 'on a roll', description: 'clear 10 quest levels in a row', measure: 'questStreak', goal: 10 },
+  {
+    id: 'score-4x4', name: 'tight squeeze', description: 'score 500 in infinity on 4x4',
+    measure: 'infinityScore', rows: 4, cols: 4, goal: 500
+  },
+  { id: 'hundred-pairs', name: 'collector', description: 'vanish 100 pairs', measure: 'pairs', total: true, goal: 100 }
+];
+
+// Direction deltas for movement (owned by the headless engine, see engine.js)
+const DIRECTION_DELTAS = BulbEngine.DIRECTION_DELTAS;
+
+// Level code characters for special cells; locked tiles are upper-case letters
+const LEVEL_CODE_SPECIALS = {
+  '#': BulbEngine.Cell.WALL,
+  '*': BulbEngine.Cell.SINK
+};
+
+// Named cell sets for 'cells' objectives (see ObjectiveService)
+const OBJECTIVE_CELL_SETS = {
+  corners: (rows, cols) => [[0, 0], [0, cols - 1], [rows - 1, 0], [rows - 1, cols - 1]]
+};
+
+// Events scripts can subscribe to with BulbGame.on()
+const GAME_EVENTS = ['move', 'vanish', 'win', 'lose', 'spawn'];
+
+// One-letter codes for directions in game recordings
+const MOVE_CODES = {
+  'ArrowUp': 'U',
+  'ArrowDown': 'D',
+  'ArrowLeft': 'L',
+  'ArrowRight': 'R'
+};
+
+// Keyboard actions in the order the key help lists them; directions are actions too
+const KEY_ACTIONS = {
+  'ArrowUp': 'move up',
+  'ArrowDown': 'move down',
+  'ArrowLeft': 'move left',
+  'ArrowRight': 'move right',
+  'undo': 'undo',
+  'redo': 'redo',
+  'restart': 'restart',
+  'settings': 'settings',
+  'statistics': 'statistics',
+  'help': 'keys'
+};
+
+const DEFAULT_KEY_BINDINGS = {
+  'ArrowUp': 'ArrowUp',
+  'ArrowDown': 'ArrowDown',
+  'ArrowLeft': 'ArrowLeft',
+  'ArrowRight': 'ArrowRight',
+  'undo': 'u',
+  'redo': 'y',
+  'restart': 'r',
+  'settings': 'o',
+  'statistics': 't',
+  'help': '?'
+};
+
+// Movement key presets; the arrow keys keep working with every preset
+const KEY_PRESETS = {
+  arrows: { 'ArrowUp': 'ArrowUp', 'ArrowDown': 'ArrowDown', 'ArrowLeft': 'ArrowLeft', 'ArrowRight': 'ArrowRight' },
+  wasd: { 'ArrowUp': 'w', 'ArrowDown': 's', 'ArrowLeft': 'a', 'ArrowRight': 'd' },
+  hjkl: { 'ArrowUp': 'k', 'ArrowDown': 'j', 'ArrowLeft': 'h', 'ArrowRight': 'l' }
 };
 
-// Random tile values by grid size
-const RANDOM_TILE_VALUES = {
-  4: () => Math.random() < 0.8 ? 32 : 64,
-  5: () => Math.random() < 0.8 ? 64 : 128,
-  7: () => Math.random() < 0.8 ? 1024 : 512,
-  9: () => 2048,
-  11: () => 2048
+// Standard gamepad layout: D-pad moves, face buttons A/B/X/Y, select and start
+const GAMEPAD_BUTTONS = {
+  0: 'undo',
+  1: 'close',
+  2: 'restart',
+  3: 'statistics',
+  8: 'help',
+  9: 'settings',
+  12: 'ArrowUp',
+  13: 'ArrowDown',
+  14: 'ArrowLeft',
+  15: 'ArrowRight'
 };
 
-// Direction deltas for movement
-const DIRECTION_DELTAS = {
-  'ArrowUp': [-1, 0],
-  'ArrowDown': [1, 0],
-  'ArrowLeft': [0, -1],
-  'ArrowRight': [0, 1]
+// Arrows shown for hinted directions
+const DIRECTION_ARROWS = {
+  'ArrowUp': '↑',
+  'ArrowDown': '↓',
+  'ArrowLeft': '←',
+  'ArrowRight': '→'
 };
 
 // Animation class mappings
@@ -57,16 +198,42 @@ const ANIMATION_CLASSES = {
 
 /**
  * @typedef {Object} GameState
- * @property {number} size - Grid size
- * @property {number} selectedSize - Selected size in settings
+ * @property {number} rows - Grid row count
+ * @property {number} cols - Grid column count
+ * @property {number} selectedRows - Row count selected in settings
+ * @property {number} selectedCols - Column count selected in settings
  * @property {Array<Array<number|null>>} grid - Game grid
- * @property {Array} history - Move history for undo
+ * @property {Object|null} history - Undo tree of the current game (see HistoryService)
  * @property {number} score - Current score
  * @property {number} moves - Number of moves made
  * @property {Object} disappear - Cells marked for disappearing
+ * @property {Array<Array<number|null>>|null} displayGrid - Grid shown while a move is animating
  * @property {boolean} isProcessing - Processing move flag
  * @property {boolean} isOverlayActive - Overlay active flag
  * @property {number} lastMoveTime - Last move timestamp
+ * @property {Object|null} drag - Pointer drag in progress on the board
+ * @property {string} seed - Seed of the current game
+ * @property {Object} rng - Seeded random stream (see BulbEngine.Random)
+ * @property {Object|null} daily - Active daily challenge ({ date, previousRows, previousCols, previousMode })
+ * @property {string} difficulty - Quest difficulty ('easy', 'medium' or 'hard')
+ * @property {number|null} par - Shortest known solution length of the current quest level
+ * @property {boolean} isGenerating - Quest level generation in progress
+ * @property {Object|null} recording - Recording of the current game (see RecordingService)
+ * @property {Object|null} replay - Replay being watched (see ReplayService)
+ * @property {Object|null} level - Active hand-made level
+ *   ({ source, packId, index, previousRows, previousCols, previousMode })
+ * @property {Object|null} editor - Level editor draft (see EditorService)
+ * @property {Object<string, string>} keyBindings - Key for each keyboard action (see KEY_ACTIONS)
+ * @property {number} moveQueueDepth - Moves that may wait for the board to settle (see MoveQueue)
+ * @property {boolean} skipQueuedAnimations - Play moves from a deep queue without animations
+ * @property {boolean} showDragArrow - Show the direction a drag on the board will move in
+ * @property {string} spawnPolicy - Infinity spawn policy: a SPAWN_POLICIES key or 'custom'
+ * @property {string} selectedSpawnPolicy - Spawn policy picked in settings, applied on save
+ * @property {Object} customSpawn - Custom spawn policy settings (see CUSTOM_SPAWN_LIMITS)
+ * @property {Array<number>} spawnQueue - Values of the next infinity spawns, next first
+ * @property {boolean} timedMode - New games are played against the clock
+ * @property {number} speedrunLevels - Quest levels a speedrun clears
+ * @property {Object|null} timer - Clock of the current timed game (see TimerService)
  */
 
 /**
@@ -80,26 +247,54 @@ const BulbGame = (() => {
   // === State Management ===
   /** @type {GameState} */
   const state = {
-    size: DEFAULT_SIZE,
-    selectedSize: DEFAULT_SIZE,
+    rows: DEFAULT_SIZE,
+    cols: DEFAULT_SIZE,
+    selectedRows: DEFAULT_SIZE,
+    selectedCols: DEFAULT_SIZE,
     grid: [],
-    history: [],
+    history: null,
     score: 0, // Score for infinity mode
     moves: 0, // Moves for infinity mode
     levelMoves: 0, // Moves for current quest level
     totalMoves: 0, // Total moves in quest series
     levelScore: 0, // Score for current quest level
+    levelPairs: 0, // Pairs vanished in current quest level, for 'vanish' objectives
     totalScore: 0, // Total score in quest series (win streak)
     disappear: {},
+    displayGrid: null, // grid shown until a move's vanishing tiles are removed
     isProcessing: false,
     isOverlayActive: false,
     lastMoveTime: 0,
-    touchStartX: null,
-    touchStartY: null,
+    drag: null, // pointer drag on the board: { pointerId, x, y, direction }
     theme: 'dark',
     showValues: true,
     gameMode: 'infinity', // 'infinity' or 'quest'
-    initialGrid: [] // for quest mode 'try again'
+    initialGrid: [], // for quest mode 'try again'
+    seed: '',
+    rng: null,
+    daily: null, // set while the daily challenge board is being played
+    difficulty: DEFAULT_DIFFICULTY,
+    selectedDifficulty: DEFAULT_DIFFICULTY,
+    par: null,
+    parBestKnown: false, // par is the shortest solution found, not a proven minimum
+    levelDifficulty: null, // band a generated quest level grades in (see BulbSolver.classify)
+    isGenerating: false,
+    generationId: 0,
+    recording: null,
+    replay: null,
+    level: null, // set while a hand-made level is being played
+    editor: null,
+    keyBindings: { ...DEFAULT_KEY_BINDINGS },
+    moveQueueDepth: MOVE_QUEUE.DEFAULT_DEPTH,
+    skipQueuedAnimations: true,
+    showDragArrow: true,
+    spawnPolicy: DEFAULT_SPAWN_POLICY,
+    selectedSpawnPolicy: DEFAULT_SPAWN_POLICY,
+    customSpawn: { ...DEFAULT_CUSTOM_SPAWN },
+    spawnQueue: [],
+    timedMode: false,
+    speedrunLevels: TIMED.SPEEDRUN_LEVELS,
+    timer: null
   };
 
   // === DOM Elements (Cached) ===
@@ -143,9 +338,7 @@ const BulbGame = (() => {
      * @returns {boolean} Is valid position
      */
     isValidPosition(row, col) {
-      return Number.isInteger(row) && Number.isInteger(col) &&
-             row >= 0 && row < state.size && 
-             col >= 0 && col < state.size;
+      return BulbEngine.Board.isValidPosition(state.grid, row, col);
     },
 
     /**
@@ -154,18 +347,24 @@ const BulbGame = (() => {
      * @returns {boolean} Can split
      */
     canSplit(value) {
-      return typeof value === 'number' && value >= 2;
+      return BulbEngine.Rules.canSplit(value);
     },
 
     /**
      * Validates game state for move execution
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.ignoreDebounce=false] - Allow a move right after the last one
      * @returns {boolean} Can execute move
      */
-    canExecuteMove() {
+    canExecuteMove({ ignoreDebounce = false } = {}) {
       const now = Date.now();
       return !state.isProcessing &&
+             !state.isGenerating &&
+             !state.replay &&
              !state.isOverlayActive &&
-             (now - state.lastMoveTime) >= DEBOUNCE_TIME &&
+             !TimerService.isOver() &&
+             !ObjectiveService.isDecided() &&
+             (ignoreDebounce || (now - state.lastMoveTime) >= DEBOUNCE_TIME) &&
              !this.isOverlayVisible();
     },
 
@@ -176,7 +375,7 @@ const BulbGame = (() => {
     isOverlayVisible() {
       return elements.settingsContainer?.style.display === 'flex' ||
              elements.statisticsContainer?.style.display === 'flex' ||
-             elements.gameOverPopup?.style.display === 'flex'; // Added for game over popup
+             UIService.isPopupShown(); // a won or lost board stays put, even when tiles remain
     }
   };
 
@@ -211,24 +410,261 @@ const BulbGame = (() => {
     }
   };
 
+  // === Event Service ===
+  const EventService = {
+    /**
+     * Handlers by event name
+     * @private
+     */
+    _handlers: {},
+
+    /**
+     * Subscribes to a game event
+     * @param {string} event - One of GAME_EVENTS
+     * @param {Function} handler - Called with the event's details
+     * @returns {Function} Unsubscribes the handler
+     * @throws {Error} If the event is unknown or the handler is not a function
+     */
+    on(event, handler) {
+      if (!GAME_EVENTS.includes(event)) throw new Error(`unknown event "${event}"`);
+      if (typeof handler !== 'function') throw new Error('handler must be a function');
+
+      (this._handlers[event] ??= []).push(handler);
+      return () => this.off(event, handler);
+    },
+
+    /**
+     * Unsubscribes a handler
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+      this._handlers[event] = (this._handlers[event] ?? []).filter(candidate => candidate !== handler);
+    },
+
+    /**
+     * Calls an event's handlers; a failing handler doesn't stop the game or the other handlers
+     * @param {string} event - Event name
+     * @param {Object} details - Event details
+     */
+    emit(event, details) {
+      (this._handlers[event] ?? []).forEach(handler => {
+        try {
+          handler(details);
+        } catch (error) {
+          ErrorHandler.handle(error, `EventService.emit(${event})`);
+        }
+      });
+    }
+  };
+
   // === Storage Service ===
   const StorageService = {
+    /**
+     * Damaged values found since the page loaded
+     * @private
+     */
+    _recoveries: [],
+
+    /**
+     * Ordered schema migrations; each one brings stored data up to its version
+     * @private
+     */
+    _migrations: [
+      { version: 1, migrate: () => StorageService.migrateGameStats() },
+      { version: 2, migrate: () => StorageService._mergeSettingsKeys() }
+    ],
+
+    /**
+     * Brings stored data up to the current schema and opens the game history store
+     * @returns {Promise<void>}
+     */
+    async init() {
+      this.runMigrations();
+      await GameStore.open();
+    },
+
+    /**
+     * Runs the migrations newer than the stored schema version, in order.
+     * The version is saved after each step, so a failed step is retried next load.
+     */
+    runMigrations() {
+      try {
+        const storedVersion = Number(localStorage.getItem('schemaVersion')) || 0;
+        if (storedVersion > STORAGE_SCHEMA_VERSION) {
+          throw new Error(`stored schema ${storedVersion} is newer than ${STORAGE_SCHEMA_VERSION}`);
+        }
+
+        this._migrations
+          .filter(({ version }) => version > storedVersion && version <= STORAGE_SCHEMA_VERSION)
+          .forEach(({ version, migrate }) => {
+            migrate();
+            localStorage.setItem('schemaVersion', String(version));
+          });
+      } catch (error) {
+        ErrorHandler.handle(error, 'StorageService.runMigrations');
+      }
+    },
+
+    /**
+     * Reads a JSON value from localStorage. A value that doesn't parse or has
+     * the wrong shape is backed up under `<key>.corrupt` and replaced by what
+     * could be salvaged from it, or by the fallback.
+     * @param {string} key - Storage key
+     * @param {*} fallback - Value when the key is missing or unreadable
+     * @param {Function} [isValid] - Checks the shape of the parsed value
+     * @returns {*} Stored value
+     */
+    readJSON(key, fallback, isValid = () => true) {
+      try {
+        const raw = localStorage.getItem(key);
+        if (raw === null) return fallback;
+
+        let value;
+        try {
+          value = JSON.parse(raw);
+        } catch (error) {
+          return this._recover(key, raw, fallback, isValid, error);
+        }
+        return isValid(value) ? value : this._recover(key, raw, fallback, isValid, new Error('unexpected shape'));
+      } catch (error) {
+        ErrorHandler.handle(error, `StorageService.readJSON(${key})`);
+        return fallback;
+      }
+    },
+
+    /**
+     * Writes a JSON value to localStorage
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     */
+    writeJSON(key, value) {
+      try {
+        localStorage.setItem(key, JSON.stringify(value));
+      } catch (error) {
+        ErrorHandler.handle(error, `StorageService.writeJSON(${key})`);
+      }
+    },
+
+    /**
+     * Notes that damaged data was repaired, so the player can be told
+     * @param {string} key - What was damaged
+     * @param {string|null} backupKey - Where the original was kept, if anywhere
+     */
+    reportRecovery(key, backupKey) {
+      this._recoveries.push({ key, backupKey });
+    },
+
+    /**
+     * Lists the damaged values recovered since the page loaded
+     * @returns {Array<{key: string, backupKey: (string|null)}>} Recoveries
+     */
+    getRecoveries() {
+      return [...this._recoveries];
+    },
+
+    /**
+     * Backs up a damaged value and stores what could be salvaged instead
+     * @private
+     * @returns {*} Salvaged value or the fallback
+     */
+    _recover(key, raw, fallback, isValid, error) {
+      ErrorHandler.handle(error, `StorageService.recover(${key})`);
+
+      const backupKey = `${key}.corrupt`;
+      try {
+        localStorage.setItem(backupKey, raw);
+      } catch (backupError) {
+        ErrorHandler.handle(backupError, `StorageService.recover(${key})`);
+      }
+
+      const value = this._salvageJSON(raw, fallback, isValid);
+      this.writeJSON(key, value);
+      this.reportRecovery(key, backupKey);
+      return value;
+    },
+
+    /**
+     * Parses the longest readable start of a truncated JSON array or object by
+     * cutting after a complete entry and closing the brackets
+     * @private
+     * @returns {*} Salvaged value or the fallback
+     */
+    _salvageJSON(raw, fallback, isValid) {
+      if (typeof fallback !== 'object' || fallback === null) return fallback;
+
+      const closer = Array.isArray(fallback) ? ']' : '}';
+      let end = raw.lastIndexOf('}');
+      for (let attempt = 0; end > 0 && attempt < JSON_SALVAGE_ATTEMPTS; attempt++) {
+        try {
+          const value = JSON.parse(raw.slice(0, end + 1) + closer);
+          if (isValid(value)) return value;
+        } catch (error) {
+          // not a complete entry yet; cut further back
+        }
+        end = raw.lastIndexOf('}', end - 1);
+      }
+      return fallback;
+    },
+
+    /**
+     * Checks for a plain (non-array) object
+     * @private
+     */
+    _isRecord(value) {
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    },
+
+    /**
+     * Migration 2: gathers the loose SIZE, theme, showValues, gameMode and
+     * difficulty keys into one `settings` object
+     * @private
+     */
+    _mergeSettingsKeys() {
+      const legacyKeys = {
+        size: 'SIZE',
+        theme: 'theme',
+        showValues: 'showValues',
+        gameMode: 'gameMode',
+        difficulty: 'difficulty'
+      };
+      const settings = {};
+
+      Object.entries(legacyKeys).forEach(([name, key]) => {
+        const value = localStorage.getItem(key);
+        if (value === null) return;
+        settings[name] = name === 'showValues' ? value !== 'false' : value;
+        localStorage.removeItem(key);
+      });
+      if (Object.keys(settings).length > 0) this.writeJSON('settings', settings);
+    },
+
     /**
      * Saves current game state to localStorage
      */
     saveState() {
       try {
+        // The daily board and hand-made levels temporarily override size and mode; keep the player's own
+        const override = state.daily ?? state.level;
         const stateToSave = {
-          size: state.size,
+          size: override ?
+            GridService.formatSize(override.previousRows, override.previousCols) :
+            GridService.formatSize(state.rows, state.cols),
           theme: state.theme,
           showValues: state.showValues,
-          gameMode: state.gameMode // Save game mode
+          gameMode: override ? override.previousMode : state.gameMode, // Save game mode
+          difficulty: state.difficulty,
+          spawnPolicy: state.spawnPolicy,
+          customSpawn: state.customSpawn,
+          keyBindings: state.keyBindings,
+          moveQueueDepth: state.moveQueueDepth,
+          skipQueuedAnimations: state.skipQueuedAnimations,
+          showDragArrow: state.showDragArrow,
+          timed: state.timedMode,
+          speedrunLevels: state.speedrunLevels
         };
 
-        Object.entries(stateToSave).forEach(([key, value]) => {
-          localStorage.setItem(key === 'size' ? 'SIZE' : key,
-                             typeof value === 'boolean' ? String(value) : value);
-        });
+        this.writeJSON('settings', stateToSave);
       } catch (error) {
         ErrorHandler.handle(error, 'StorageService.saveState');
       }
@@ -239,60 +675,92 @@ const BulbGame = (() => {
      */
     loadState() {
       try {
+        const settings = this.readJSON('settings', {}, value => this._isRecord(value));
+
         // Load grid size
-        const savedSize = localStorage.getItem('SIZE');
-        if (savedSize && !isNaN(savedSize)) {
-          state.size = parseInt(savedSize, 10);
-          state.selectedSize = state.size;
+        const savedSize = GridService.parseSize(settings.size);
+        if (savedSize) {
+          Object.assign(state, {
+            rows: savedSize.rows,
+            cols: savedSize.cols,
+            selectedRows: savedSize.rows,
+            selectedCols: savedSize.cols
+          });
         }
 
         // Load theme
-        const savedTheme = localStorage.getItem('theme');
-        state.theme = savedTheme === 'light' ? 'light' : 'dark';
+        state.theme = settings.theme === 'light' ? 'light' : 'dark';
         document.body.classList.toggle('light-theme', state.theme === 'light');
         if (elements.themeToggleBtn) {
           elements.themeToggleBtn.checked = state.theme === 'light';
         }
 
         // Load value display setting
-        const showValues = localStorage.getItem('showValues');
-          state.showValues = showValues !== 'false';
+          state.showValues = settings.showValues !== false;
           if (elements.toggleDataValue) {
             elements.toggleDataValue.checked = state.showValues;
           }
 
         // Load game mode
-        const savedGameMode = localStorage.getItem('gameMode');
-        state.gameMode = savedGameMode === 'quest' ? 'quest' : 'infinity';
+        state.gameMode = settings.gameMode === 'quest' ? 'quest' : 'infinity';
         if (elements.gameModeToggleBtn) {
             elements.gameModeToggleBtn.checked = state.gameMode === 'quest';
         }
+
+        // Load quest difficulty
+        state.difficulty = DIFFICULTIES.includes(settings.difficulty) ? settings.difficulty : DEFAULT_DIFFICULTY;
+        state.selectedDifficulty = state.difficulty;
+
+        // Load infinity spawn policy
+        state.spawnPolicy = SpawnService.isPolicy(settings.spawnPolicy) ? settings.spawnPolicy : DEFAULT_SPAWN_POLICY;
+        state.selectedSpawnPolicy = state.spawnPolicy;
+        state.customSpawn = SpawnService.readCustom(settings.customSpawn);
+
+        // Load key bindings and move queue options
+        state.keyBindings = InputService.readBindings(settings.keyBindings);
+        const depth = Number(settings.moveQueueDepth);
+        state.moveQueueDepth = Number.isInteger(depth) && depth >= 0 && depth <= MOVE_QUEUE.MAX_DEPTH ?
+          depth : MOVE_QUEUE.DEFAULT_DEPTH;
+        state.skipQueuedAnimations = settings.skipQueuedAnimations !== false;
+        if (elements.moveQueueInput) elements.moveQueueInput.value = state.moveQueueDepth;
+        if (elements.skipAnimationsToggle) elements.skipAnimationsToggle.checked = state.skipQueuedAnimations;
+
+        // Load drag arrow setting
+        state.showDragArrow = settings.showDragArrow !== false;
+        if (elements.dragArrowToggle) elements.dragArrowToggle.checked = state.showDragArrow;
+
+        // Load timed mode
+        state.timedMode = settings.timed === true;
+        const levels = Number(settings.speedrunLevels);
+        state.speedrunLevels = Number.isInteger(levels) && levels >= 1 && levels <= TIMED.MAX_SPEEDRUN_LEVELS ?
+          levels : TIMED.SPEEDRUN_LEVELS;
+        if (elements.timedToggleBtn) elements.timedToggleBtn.checked = state.timedMode;
+        if (elements.speedrunLevelsInput) elements.speedrunLevelsInput.value = state.speedrunLevels;
         } catch (error) {
           ErrorHandler.handle(error, 'StorageService.loadState');
         }
       },
 
       /**
-       * Saves a completed game's statistics to localStorage.
-       * @param {Object} gameStats - Object containing game statistics (date, size, moves, score).
+       * Saves a completed game's statistics to the game history store.
+       * @param {Object} gameStats - Object containing game statistics (timestamp, size, moves, score).
+       * @returns {Promise<void>}
        */
-      saveGameStats(gameStats) {
+      async saveGameStats(gameStats) {
         try {
-          const allGames = JSON.parse(localStorage.getItem('allGames')) || [];
-          allGames.push(gameStats);
-          localStorage.setItem('allGames', JSON.stringify(allGames));
+          await GameStore.add(gameStats);
         } catch (error) {
           ErrorHandler.handle(error, 'StorageService.saveGameStats');
         }
       },
 
       /**
-       * Loads all saved game statistics from localStorage.
-       * @returns {Array<Object>} An array of game statistics.
+       * Loads all saved game statistics, oldest first.
+       * @returns {Promise<Array<Object>>} An array of game statistics.
        */
-      loadAllGamesStats() {
+      async loadAllGamesStats() {
         try {
-          return JSON.parse(localStorage.getItem('allGames')) || [];
+          return await GameStore.getAll();
         } catch (error) {
           ErrorHandler.handle(error, 'StorageService.loadAllGamesStats');
           return [];
@@ -300,644 +768,4582 @@ const BulbGame = (() => {
       },
 
       /**
-       * Clears all saved game statistics from localStorage.
+       * Loads the totals of games rolled up by the retention policy.
+       * @returns {Array<Object>} Aggregates, one per mode and board size.
+       */
+      loadGameAggregates() {
+        return GameStore.loadAggregates();
+      },
+
+      /**
+       * Migration 1: rewrites saved games that still carry locale `date`/`time`
+       * strings with an ISO `timestamp`.
+       */
+      migrateGameStats() {
+        const allGames = this.readJSON('allGames', [], Array.isArray);
+        if (!allGames.some(game => !('timestamp' in game))) return;
+
+        this.writeJSON('allGames', allGames.map(game => this.migrateGame(game)));
+      },
+
+      /**
+       * Converts one legacy game entry to the ISO timestamp format (and a square
+       * `size` to rows and cols). Entries whose date can't be read keep their
+       * strings and get a null timestamp.
+       * @param {Object} game - Game entry.
+       * @returns {Object} Migrated entry.
+       */
+      migrateGame(game) {
+        if ('timestamp' in game) return game;
+
+        const { date, time, size, ...rest } = game;
+        const timestamp = this._parseLocaleTimestamp(date, time);
+        const migrated = { timestamp, ...rest, rows: rest.rows ?? size, cols: rest.cols ?? size };
+        return timestamp ? migrated : { ...migrated, date, time };
+      },
+
+      /**
+       * Reads a date and time written by toLocaleDateString/toLocaleTimeString.
+       * Numbers are matched to day, month and year in this browser's locale order,
+       * falling back to the other order when it can't be right (month > 12).
+       * @private
+       * @returns {string|null} ISO timestamp, or null if unreadable.
+       */
+      _parseLocaleTimestamp(date, time) {
+        const numbers = String(date ?? '').match(/\d+/g)?.map(Number);
+        if (!numbers || numbers.length !== 3) return null;
+
+        const order = new Intl.DateTimeFormat().formatToParts(new Date(2000, 11, 31))
+          .map(part => part.type)
+          .filter(type => ['day', 'month', 'year'].includes(type));
+        const parts = {};
+        order.forEach((type, index) => { parts[type] = numbers[index]; });
+        if (parts.month > 12) [parts.day, parts.month] = [parts.month, parts.day];
+
+        const [, hours = 0, minutes = 0, seconds = 0, period = ''] =
+          /(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?/i.exec(String(time ?? '')) ?? [];
+        let hour = Number(hours);
+        if (period) hour = hour % 12 + (period.toLowerCase() === 'p' ? 12 : 0);
+
+        const parsed = new Date(parts.year, parts.month - 1, parts.day, hour, minutes, seconds);
+        return Number.isNaN(parsed.getTime()) || parsed.getDate() !== parts.day ?
+          null : parsed.toISOString();
+      },
+
+      /**
+       * Clears all saved game statistics, their totals and daily results.
+       * @returns {Promise<void>}
        */
-      clearAllGamesStats() {
+      async clearAllGamesStats() {
         try {
-          localStorage.removeItem('allGames');
+          await GameStore.clear();
+          localStorage.removeItem('dailyResults');
+          localStorage.removeItem('timedRecords');
         } catch (error) {
           ErrorHandler.handle(error, 'StorageService.clearAllGamesStats');
         }
+      },
+
+      /**
+       * Saves a snapshot of the live game to localStorage.
+       * @param {Object} snapshot - Game snapshot (see SessionService).
+       */
+      saveCurrentGame(snapshot) {
+        try {
+          localStorage.setItem('currentGame', JSON.stringify(snapshot));
+        } catch (error) {
+          ErrorHandler.handle(error, 'StorageService.saveCurrentGame');
+        }
+      },
+
+      /**
+       * Loads the live game snapshot from localStorage.
+       * @returns {Object|null} Snapshot, or null if there is none.
+       */
+      loadCurrentGame() {
+        return this.readJSON('currentGame', null);
+      },
+
+      /**
+       * Removes the live game snapshot from localStorage.
+       */
+      clearCurrentGame() {
+        try {
+          localStorage.removeItem('currentGame');
+        } catch (error) {
+          ErrorHandler.handle(error, 'StorageService.clearCurrentGame');
+        }
+      },
+
+      /**
+       * Saves the result of a daily challenge, replacing that day's previous result.
+       * @param {Object} result - Daily result (date, rows, cols, moves, score, solved).
+       */
+      saveDailyResult(result) {
+        try {
+          const dailyResults = this.loadDailyResults();
+          dailyResults[result.date] = result;
+          localStorage.setItem('dailyResults', JSON.stringify(dailyResults));
+        } catch (error) {
+          ErrorHandler.handle(error, 'StorageService.saveDailyResult');
+        }
+      },
+
+      /**
+       * Loads daily challenge results from localStorage.
+       * @returns {Object<string, Object>} Results keyed by date (YYYY-MM-DD).
+       */
+      loadDailyResults() {
+        return this.readJSON('dailyResults', {}, value => this._isRecord(value));
+      },
+
+      /**
+       * Saves imported level packs (raw pack JSON) to localStorage.
+       * @param {Array<Object>} packs - Imported packs.
+       */
+      saveLevelPacks(packs) {
+        try {
+          localStorage.setItem('levelPacks', JSON.stringify(packs));
+        } catch (error) {
+          ErrorHandler.handle(error, 'StorageService.saveLevelPacks');
+        }
+      },
+
+      /**
+       * Loads imported level packs from localStorage.
+       * @returns {Array<Object>} Raw pack JSON, in import order.
+       */
+      loadLevelPacks() {
+        return this.readJSON('levelPacks', [], Array.isArray);
+      },
+
+      /**
+       * Saves the best result of a level pack level.
+       * @param {string} packId - Pack id.
+       * @param {number} index - Level index in the pack.
+       * @param {Object} result - Best result (moves, score, stars).
+       */
+      saveLevelProgress(packId, index, result) {
+        try {
+          const progress = this.loadLevelProgress();
+          progress[packId] = { ...progress[packId], [index]: result };
+          localStorage.setItem('levelProgress', JSON.stringify(progress));
+        } catch (error) {
+          ErrorHandler.handle(error, 'StorageService.saveLevelProgress');
+        }
+      },
+
+      /**
+       * Loads level pack progress from localStorage.
+       * @returns {Object<string, Object<number, Object>>} Best results by pack id, then level index.
+       */
+      loadLevelProgress() {
+        return this.readJSON('levelProgress', {}, value => this._isRecord(value));
+      },
+
+      /**
+       * Saves the best result of a timed game kind.
+       * @param {string} key - Kind, e.g. 'score:5x5' or 'speedrun:5x5:5' (see TimerService).
+       * @param {Object} record - Best result ({ score } or { time, splits }, plus timestamp).
+       */
+      saveTimedRecord(key, record) {
+        this.writeJSON('timedRecords', { ...this.loadTimedRecords(), [key]: record });
+      },
+
+      /**
+       * Loads the best timed game results from localStorage.
+       * @returns {Object<string, Object>} Best results by kind.
+       */
+      loadTimedRecords() {
+        return this.readJSON('timedRecords', {}, value => this._isRecord(value));
+      },
+
+      /**
+       * Saves achievement unlocks and progress.
+       * @param {Object} achievements - Achievement record (see AchievementService).
+       */
+      saveAchievements(achievements) {
+        this.writeJSON('achievements', achievements);
+      },
+
+      /**
+       * Loads achievement unlocks and progress from localStorage.
+       * @returns {Object} Achievement record ({ unlocked, progress, questStreak }).
+       */
+      loadAchievements() {
+        const achievements = this.readJSON('achievements', {}, value => this._isRecord(value));
+        return {
+          unlocked: this._isRecord(achievements.unlocked) ? achievements.unlocked : {},
+          progress: this._isRecord(achievements.progress) ? achievements.progress : {},
+          questStreak: Number(achievements.questStreak) || 0
+        };
       }
     };
 
-  // === Grid Service ===
-  const GridService = {
+  // === Game Store ===
+  // Game history backends share one async interface: open, getAll, count,
+  // addMany, replaceAll and clear. Entries are plain game stats objects.
+
+  const IndexedDBGameBackend = {
+    /** @private */
+    _db: null,
+
     /**
-     * Creates empty grid of specified size
-     * @param {number} size - Grid size
-     * @returns {Array<Array<null>>} Empty grid
+     * Opens the database, creating the games store on first use
+     * @returns {Promise<void>}
      */
-    createEmptyGrid(size) {
-      return Array.from({ length: size }, () => Array(size).fill(null));
+    open() {
+      return new Promise((resolve, reject) => {
+        const request = indexedDB.open(GAME_DB.NAME, GAME_DB.VERSION);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(GAME_DB.STORE)) {
+            request.result.createObjectStore(GAME_DB.STORE, { autoIncrement: true });
+          }
+        };
+        request.onsuccess = () => {
+          this._db = request.result;
+          resolve();
+        };
+        request.onerror = () => reject(request.error);
+      });
     },
 
     /**
-     * Deep clones grid
-     * @param {Array<Array<number|null>>} grid - Grid to clone
-     * @returns {Array<Array<number|null>>} Cloned grid
+     * Loads every stored game in insertion order
+     * @returns {Promise<Array<Object>>} Games
      */
-    cloneGrid(grid) {
-      return grid.map(row => [...row]);
+    getAll() {
+      return this._run('readonly', store => store.getAll());
     },
 
     /**
-     * Finds new position after movement in direction
-     * @param {number} row - Starting row
-     * @param {number} col - Starting column
-     * @param {number} deltaRow - Row movement delta
-     * @param {number} deltaCol - Column movement delta
-     * @returns {[number, number]} New position
+     * Counts stored games
+     * @returns {Promise<number>} Game count
      */
-    findNewPosition(row, col, deltaRow, deltaCol) {
-      let newRow = row + deltaRow;
-      let newCol = col + deltaCol;
-      
-      while (GameValidator.isValidPosition(newRow, newCol) && 
-             state.grid[newRow][newCol] === null) {
-        row = newRow;
-        col = newCol;
-        newRow += deltaRow;
-        newCol += deltaCol;
-      }
-      
-      return [row, col];
+    count() {
+      return this._run('readonly', store => store.count());
     },
 
     /**
-     * Gets random empty cell position
-     * @returns {[number, number]|null} Random empty position or null
+     * Appends games
+     * @param {Array<Object>} games - Game stats
+     * @returns {Promise<void>}
      */
-    getRandomEmptyCell() {
-      const emptyCells = [];
-      
-      for (let r = 0; r < state.size; r++) {
-        for (let c = 0; c < state.size; c++) {
-          if (state.grid[r][c] === null) {
-            emptyCells.push([r, c]);
-          }
-        }
-      }
-      
-      return emptyCells.length > 0 ? 
-        emptyCells[Math.floor(Math.random() * emptyCells.length)] : null;
+    addMany(games) {
+      return this._run('readwrite', store => {
+        games.forEach(game => store.add(game));
+      });
     },
 
     /**
-     * Gets all empty cell positions
-     * @returns {Array<[number, number]>} Array of empty positions
+     * Replaces every stored game in one transaction
+     * @param {Array<Object>} games - Game stats
+     * @returns {Promise<void>}
      */
-    getAllEmptyCells() {
-      const emptyCells = [];
-      for (let r = 0; r < state.size; r++) {
-        for (let c = 0; c < state.size; c++) {
-          if (state.grid[r][c] === null) {
-            emptyCells.push([r, c]);
-          }
-        }
-      }
-      return emptyCells;
+    replaceAll(games) {
+      return this._run('readwrite', store => {
+        store.clear();
+        games.forEach(game => store.add(game));
+      });
     },
 
     /**
-     * Calculates total grid value sum
-     * @returns {number} Sum of all cell values
+     * Removes every stored game
+     * @returns {Promise<void>}
      */
-    calculateGridSum() {
-      return state.grid.flat()
-        .filter(val => val !== null)
-        .reduce((sum, val) => sum + val, 0);
+    clear() {
+      return this._run('readwrite', store => store.clear());
     },
 
     /**
-     * Checks if two grids are identical.
-     * @param {Array<Array<number|null>>} grid1 
-     * @param {Array<Array<number|null>>} grid2 
-     * @returns {boolean} True if grids are identical, false otherwise.
+     * Runs work in one transaction on the games store
+     * @private
+     * @returns {Promise<*>} Result of the request `work` returns, once the transaction commits
      */
-    areGridsIdentical(grid1, grid2) {
-      if (grid1.length !== grid2.length || grid1[0].length !== grid2[0].length) {
-        return false;
-      }
-      for (let r = 0; r < grid1.length; r++) {
-        for (let c = 0; c < grid1[r].length; c++) {
-          if (grid1[r][c] !== grid2[r][c]) {
-            return false;
-          }
-        }
-      }
-      return true;
+    _run(mode, work) {
+      return new Promise((resolve, reject) => {
+        const transaction = this._db.transaction(GAME_DB.STORE, mode);
+        const request = work(transaction.objectStore(GAME_DB.STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
     }
   };
 
-  // === Game Logic ===
-  const GameLogic = {
+  // Fallback when IndexedDB is unavailable: one JSON array under 'allGames'
+  const LocalStorageGameBackend = {
     /**
-     * Validates and executes game move in specified direction
-     * @param {string} direction - Direction key (ArrowUp, ArrowDown, etc.)
+     * Nothing to open; localStorage is always there
+     * @returns {Promise<void>}
      */
-    move(direction) {
-      if (!GameValidator.canExecuteMove()) return;
-      
-      state.lastMoveTime = Date.now();
-      state.isProcessing = true;
-
-      try {
-        const [deltaRow, deltaCol] = DIRECTION_DELTAS[direction];
-        const initialGridClone = GridService.cloneGrid(state.grid); // Clone grid before move
-        
-        // Add random cell at the start of the move for infinity mode, if not the very first move
-        if (state.gameMode === 'infinity' && state.moves > 0) {
-          this.addRandomCell();
-        }
+    async open() {},
 
-        const result = this._executeMove(deltaRow, deltaCol);
-        
-        if (result.changed) {
-          this._finalizeMoveAndUpdate(result);
-          // _checkGameStatus() is now called from _handleDisappearingCells
-        } else if (!GridService.areGridsIdentical(initialGridClone, state.grid)) {
-            // If grid changed but not due to splitting (e.g., cell moved into empty space)
-            // Still consider it a move
-            // _checkGameStatus() is now called from _handleDisappearingCells
-        }
-      } catch (error) {
-        ErrorHandler.handle(error, 'GameLogic.move');
-      } finally {
-        state.isProcessing = false;
-      }
+    /**
+     * Loads every stored game in insertion order
+     * @returns {Promise<Array<Object>>} Games
+     */
+    async getAll() {
+      return StorageService.readJSON('allGames', [], Array.isArray);
     },
 
     /**
-     * Executes the core move logic
-     * @private
-     * @param {number} deltaRow - Row movement delta
-     * @param {number} deltaCol - Column movement delta
-     * @returns {Object} Move execution result
+     * Counts stored games
+     * @returns {Promise<number>} Game count
      */
-    _executeMove(deltaRow, deltaCol) {
-      const newGrid = GridService.createEmptyGrid(state.size);
-      const processOrder = this._getProcessingOrder(deltaRow, deltaCol);
-      
-      let changed = false;
-      const disappearingCells = [];
-
-      // Process each cell in calculated order
-      for (const [row, col] of processOrder) {
-        const cellValue = state.grid[row][col];
-        if (!GameValidator.canSplit(cellValue)) continue;
-
-        const moveResult = this._processCellMove(
-          row, col, cellValue, deltaRow, deltaCol, newGrid, disappearingCells
-        );
-        changed = changed || moveResult;
-      }
+    async count() {
+      return (await this.getAll()).length;
+    },
 
-      return { newGrid, changed, disappearingCells };
+    /**
+     * Appends games
+     * @param {Array<Object>} games - Game stats
+     * @returns {Promise<void>}
+     */
+    async addMany(games) {
+      StorageService.writeJSON('allGames', [...(await this.getAll()), ...games]);
     },
 
     /**
-     * Processes individual cell movement
-     * @private
-     * @param {number} row - Cell row
-     * @param {number} col - Cell column
-     * @param {number} value - Cell value
-     * @param {number} deltaRow - Row delta
-     * @param {number} deltaCol - Column delta
-     * @param {Array} newGrid - Target grid
-     * @param {Array} disappearingCells - Cells to disappear
-     * @returns {boolean} Whether cell was moved/changed
+     * Replaces every stored game
+     * @param {Array<Object>} games - Game stats
+     * @returns {Promise<void>}
      */
-    _processCellMove(row, col, value, deltaRow, deltaCol, newGrid, disappearingCells) {
-      const [nextRow, nextCol] = [row + deltaRow, col + deltaCol];
-      
-      if (GameValidator.isValidPosition(nextRow, nextCol) && 
-          state.grid[nextRow][nextCol] === null) {
-        return this._applySplit(row, col, value, deltaRow, deltaCol, newGrid, disappearingCells);
-      } else {
-        const [targetRow, targetCol] = GridService.findNewPosition(row, col, deltaRow, deltaCol);
-        newGrid[targetRow][targetCol] = value;
-        return targetRow !== row || targetCol !== col;
-      }
+    async replaceAll(games) {
+      StorageService.writeJSON('allGames', games);
     },
 
     /**
-     * Applies cell splitting logic
+     * Removes every stored game
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      localStorage.removeItem('allGames');
+    }
+  };
+
+  const GameStore = {
+    /** @private */
+    _backend: LocalStorageGameBackend,
+    /**
+     * Tail of the store's pending changes (see _enqueue)
      * @private
      */
-    _applySplit(row, col, value, deltaRow, deltaCol, newGrid, disappearingCells) {
-      const splitValue = value / 2;
-      const [targetRow, targetCol] = GridService.findNewPosition(
-        row + deltaRow, col + deltaCol, deltaRow, deltaCol
-      );
-      
-      newGrid[row][col] = splitValue;
+    _queue: Promise.resolve(),
 
-      if (GameValidator.isValidPosition(targetRow, targetCol)) {
-        newGrid[targetRow][targetCol] = splitValue;
-        AnimationService.animateSplitAppear(row, col, targetRow, targetCol, splitValue, deltaRow, deltaCol);
-        
-        if (splitValue === 2) {
-          disappearingCells.push([row, col], [targetRow, targetCol]);
+    /**
+     * Picks IndexedDB when it opens, else localStorage. Games left in
+     * localStorage by older versions are moved into IndexedDB.
+     * @returns {Promise<void>}
+     */
+    async open() {
+      if (typeof indexedDB === 'undefined') return;
+      try {
+        await IndexedDBGameBackend.open();
+        this._backend = IndexedDBGameBackend;
+
+        const localGames = await LocalStorageGameBackend.getAll();
+        if (localGames.length > 0) {
+          await this._enqueue(async () => {
+            await this._backend.addMany(localGames);
+            await LocalStorageGameBackend.clear();
+            await this._applyRetention();
+          });
         }
-      } else if (splitValue === 2) {
-        disappearingCells.push([row, col]);
+      } catch (error) {
+        ErrorHandler.handle(error, 'GameStore.open');
+        this._backend = LocalStorageGameBackend;
       }
-
-      AnimationService.animateCellSplit(row, col, deltaRow, deltaCol);
-      return true;
     },
 
     /**
-     * Gets processing order based on movement direction
-     * @private
-     * @param {number} deltaRow - Row delta
-     * @param {number} deltaCol - Column delta
-     * @returns {Array<[number, number]>} Processing order array
+     * Loads every stored game, oldest first. Damaged entries are dropped
+     * from the store and reported as a recovery.
+     * @returns {Promise<Array<Object>>} Games
      */
-    _getProcessingOrder(deltaRow, deltaCol) {
-      const order = [];
-      for (let r = 0; r < state.size; r++) {
-        for (let c = 0; c < state.size; c++) {
-          order.push([r, c]);
-        }
-      }
-      
-      // Reverse order if moving in positive direction
-      const newOrder = [];
-      const rows = Array.from({ length: state.size }, (_, i) => deltaRow > 0 ? state.size - 1 - i : i);
-      const cols = Array.from({ length: state.size }, (_, i) => deltaCol > 0 ? state.size - 1 - i : i);
-
-      for (const r of rows) {
-        for (const c of cols) {
-          newOrder.push([r, c]);
-        }
+    async getAll() {
+      const stored = await this._backend.getAll();
+      const games = stored.filter(game => this.isValidGame(game));
+
+      if (games.length < stored.length) {
+        ErrorHandler.handle(new Error(`${stored.length - games.length} damaged games dropped`), 'GameStore.getAll');
+        StorageService.reportRecovery('games', null);
+        await this._enqueue(() => this._readValid(true));
       }
-      return newOrder;
+      return this._sortByTime(games);
     },
 
     /**
-     * Finalizes move and updates game state
-     * @private
-     * @param {Object} result - Move execution result
+     * Stores one game
+     * @param {Object} game - Game stats
+     * @returns {Promise<void>}
      */
-    _finalizeMoveAndUpdate(result) {
-      const { newGrid, disappearingCells } = result;
-      
-      // Save history for undo functionality
-      state.history.unshift({ 
-        grid: GridService.cloneGrid(state.grid), 
-        score: state.score 
-      });
-      
-      if (state.history.length > MAX_HISTORY_SIZE) {
-        state.history.pop();
-      }
-
-      state.grid = newGrid;
-      state.moves++;
-      
-      // Handle disappearing cells with delay
-      this._handleDisappearingCells(disappearingCells);
-      // _checkGameStatus() is now called from _handleDisappearingCells
-      
-      PerformanceUtils.batchUpdate(() => UIService.render());
+    add(game) {
+      return this.addMany([game]);
     },
 
     /**
-     * Handles cells that should disappear after move
-     * @private
-     * @param {Array<[number, number]>} disappearingCells - Cells to remove
+     * Stores several games, then applies the retention policy
+     * @param {Array<Object>} games - Game stats
+     * @returns {Promise<void>}
      */
-    _handleDisappearingCells(disappearingCells) {
-      if (disappearingCells.length === 0) return;
-      
-      setTimeout(() => {
-        let scoreGain = 0;
-        
-        disappearingCells.forEach(([row, col]) => {
-          if (state.grid[row][col] === 2) {
-            AnimationService.animateAndRemoveCell(row, col);
-            state.grid[row][col] = null;
-            scoreGain += 1;
-          }
-        });
-        
-        if (scoreGain > 0) {
-          state.score += scoreGain;
-          UIService.showScorePopup(scoreGain);
-        }
-        
-        PerformanceUtils.batchUpdate(() => {
-          UIService.render();
-          this._checkGameStatus(); // Check game status after cells disappear and render
-        });
-      }, ANIMATION_DURATION * 2);
+    async addMany(games) {
+      if (games.length === 0) return;
+      await this._enqueue(async () => {
+        await this._backend.addMany(games);
+        await this._applyRetention();
+      });
     },
 
     /**
-     * Spawns random tile based on probability
-     * @private
+     * Removes every game and the rolled-up totals
+     * @returns {Promise<void>}
      */
-    _spawnRandomTile() {
-      // This function is only called in infinity mode now
-      if (state.gameMode !== 'infinity') return; 
-
-      const emptyCells = GridService.getAllEmptyCells();
-      if (emptyCells.length < state.size) return;
-
-      const position = emptyCells[Math.floor(Math.random() * emptyCells.length)];
-      if (!position) return;
-      
-      const [row, col] = position;
-      const getRandomValue = RANDOM_TILE_VALUES[state.size];
-      const probability = state.size <= 7 ? 
-        RANDOM_CELL_PROBABILITY.SMALL_GRID : 
-        RANDOM_CELL_PROBABILITY.LARGE_GRID;
-      
-      if (Math.random() < probability && getRandomValue) {
-        state.grid[row][col] = getRandomValue();
-      }
+    clear() {
+      return this._enqueue(async () => {
+        await this._backend.clear();
+        localStorage.removeItem('gameAggregates');
+      });
     },
 
     /**
-     * Adds random cell based on current grid state
+     * Loads the totals of rolled-up games
+     * @returns {Array<Object>} Aggregates, one per mode and board size
      */
-    addRandomCell() {
-      // This function is only called in infinity mode now
-      if (state.gameMode !== 'infinity') return;
+    loadAggregates() {
+      return StorageService.readJSON('gameAggregates', [], Array.isArray);
+    },
 
-      try {
-        const gridSum = GridService.calculateGridSum();
-        console.log('Grid Sum:', gridSum);
-        const threshold = state.size * 25;
-        const emptyCells = GridService.getAllEmptyCells();
-
-        if (gridSum <= threshold && emptyCells.length > state.size) {
-          const randomCellPos = emptyCells[Math.floor(Math.random() * emptyCells.length)];
-          const getRandomValue = RANDOM_TILE_VALUES[state.size];
-          const newValue = getRandomValue ? getRandomValue() : 16;
-
-          state.grid[randomCellPos[0]][randomCellPos[1]] = newValue;
-          
-          const cellElement = document.getElementById(`cell-${randomCellPos[0]}-${randomCellPos[1]}`);
-          AnimationService.animateCellAppearing(cellElement);
-            setTimeout(() => {
-              PerformanceUtils.batchUpdate(() => UIService.render());
-            }, ANIMATION_DURATION * 2);
-        }
-      } catch (error) {
-        ErrorHandler.handle(error, 'GameLogic.addRandomCell');
-      }
+    /**
+     * Checks the fields the statistics rely on
+     * @param {Object} game - Game stats
+     * @returns {boolean} Game is usable
+     */
+    isValidGame(game) {
+      return Boolean(game) && ['infinity', 'quest'].includes(game.mode) &&
+        GridService.isValidSize(game.rows ?? game.size, game.cols ?? game.size) &&
+        Number.isInteger(game.moves) && game.moves >= 0 &&
+        Number.isInteger(game.score) && game.score >= 0 &&
+        (game.timestamp === null ||
+          (typeof game.timestamp === 'string' && !Number.isNaN(Date.parse(game.timestamp))));
     },
 
     /**
-     * Undoes last move if available
+     * Past GAME_RETENTION.MAX_GAMES, rolls the oldest games into per-mode,
+     * per-size (and per-spawn-policy) totals until KEEP_GAMES remain
+     * @private
      */
-    undo() {
-      if (state.history.length === 0) return;
-      
-      try {
-        const lastState = state.history.shift();
-        state.grid = GridService.cloneGrid(lastState.grid);
-
-        if (state.gameMode === 'infinity') {
-          state.score = lastState.score;
-          if (state.moves > 0) state.moves--;
-        } else { // quest mode
-          state.levelScore = lastState.levelScore;
-          state.totalScore = lastState.totalScore;
-          if (state.levelMoves > 0) state.levelMoves--;
-          if (state.totalMoves > 0) state.totalMoves--;
-        }
-        
-        PerformanceUtils.batchUpdate(() => UIService.render());
-        UIService.hideGameOverPopup(); // In case undoing from a lose state
-      } catch (error) {
-        ErrorHandler.handle(error, 'GameLogic.undo');
-      }
+    async _applyRetention() {
+      if (await this._backend.count() <= GAME_RETENTION.MAX_GAMES) return;
+
+      const games = await this._readValid(false);
+      const old = games.slice(0, games.length - GAME_RETENTION.KEEP_GAMES);
+      const aggregates = this._rollUp(this.loadAggregates(), old);
+      // Totals only once the games are gone: a failed write then loses nothing, and
+      // an interrupted one can at worst leave out games, never count them twice
+      await this._backend.replaceAll(games.slice(old.length));
+      StorageService.writeJSON('gameAggregates', aggregates);
     },
 
     /**
-     * Restarts game with fresh state
+     * Runs a change to the store once the ones before it have finished. Retention
+     * reads all games and writes them back, so a change slipped in between would
+     * be lost, or roll the same games into the totals twice.
+     * @private
+     * @param {Function} task - Async change
+     * @returns {Promise<*>} Settles with the task
      */
-    restart() {
-      try {
-        this._saveCurrentGameStats(); // Save current game before restarting
-        Object.assign(state, {
-          moves: 0,
-          score: 0,
-          levelMoves: 0,
-          totalMoves: 0,
-          levelScore: 0,
-          totalScore: 0,
-          history: [],
-          disappear: {},
-          isProcessing: false
-        });
-        
-        UIService.hideGameOverPopup();
-        GameSetup.createGrid();
-      } catch (error) {
-        ErrorHandler.handle(error, 'GameLogic.restart');
-      }
+    _enqueue(task) {
+      const run = this._queue.then(task);
+      this._queue = run.catch(() => {}); // a failed change doesn't block the ones after it
+      return run;
     },
 
     /**
-     * Restarts game in Quest mode with the same initial grid.
+     * Reads the valid games, oldest first; only call from a queued change
+     * @private
+     * @param {boolean} dropDamaged - Write back without the damaged entries
+     * @returns {Promise<Array<Object>>} Games
      */
-    tryAgainQuestMode() {
-      try {
-        if (state.gameMode === 'quest' && state.initialGrid.length > 0) {
-          this._saveCurrentGameStats();
-          Object.assign(state, {
-            levelMoves: 0,
-            levelScore: 0,
-            history: [],
-            disappear: {},
-            isProcessing: false,
-            grid: GridService.cloneGrid(state.initialGrid) // Restore initial grid
-          });
-          // totalMoves и totalScore не сбрасываются здесь
-          UIService.hideGameOverPopup();
-          PerformanceUtils.batchUpdate(() => UIService.render());
-        } else {
-          // Fallback to regular restart if not in quest mode or no initial grid
-          this.restart();
-        }
-      } catch (error) {
-        ErrorHandler.handle(error, 'GameLogic.tryAgainQuestMode');
-      }
+    async _readValid(dropDamaged) {
+      const stored = await this._backend.getAll();
+      const games = stored.filter(game => this.isValidGame(game));
+      if (dropDamaged && games.length < stored.length) await this._backend.replaceAll(games);
+      return this._sortByTime(games);
     },
 
     /**
-     * Restarts game in Quest mode with a newly generated grid.
+     * @private
+     * @param {Array<Object>} games - Games
+     * @returns {Array<Object>} The same games, oldest first
      */
-    tryAnotherQuestMode() {
-      try {
-        this.restart(); // This will create a new grid, resetting all quest counters
-      } catch (error) {
-        ErrorHandler.handle(error, 'GameLogic.tryAnotherQuestMode');
-      }
+    _sortByTime(games) {
+      return games.sort((a, b) => (a.timestamp ?? '').localeCompare(b.timestamp ?? ''));
     },
 
     /**
-     * Starts the next quest level, generating a new grid but keeping current moves and score.
+     * Tells whether a game falls in the time span of rolled-up totals for its
+     * mode, size and policy, so it was most likely rolled into them already.
+     * Undated games can't be placed and never match.
+     * @param {Object} game - Game stats
+     * @param {Array<Object>} [aggregates=this.loadAggregates()] - Rolled-up totals
+     * @returns {boolean} Game is covered by the totals
      */
-    startNextQuestLevel() {
-      try {
-        UIService.hideQuestWinPopup(); // Hide the win popup
-        // Сбрасываем только счетчики уровня
-        state.levelMoves = 0;
-        state.levelScore = 0;
-        state.history = []; // Очищаем историю для нового уровня
-        GameSetup.createGrid(); // Create a new grid
-        PerformanceUtils.batchUpdate(() => UIService.render());
-      } catch (error) {
-        ErrorHandler.handle(error, 'GameLogic.startNextQuestLevel');
-      }
+    isRolledUp(game, aggregates = this.loadAggregates()) {
+      if (!game.timestamp) return false;
+      const key = this._getAggregateKey(game);
+      return aggregates.some(entry => this._getAggregateKey(entry) === key &&
+        entry.from && entry.to && game.timestamp >= entry.from && game.timestamp <= entry.to);
     },
 
     /**
-     * Checks game status for Quest mode (win/lose).
      * @private
+     * @param {Object} game - Game stats or rolled-up totals
+     * @returns {string} Mode, board size and spawn policy the game is totalled under
      */
-    _checkGameStatus() {
-      if (state.gameMode !== 'quest') return;
-
-      const emptyCells = GridService.getAllEmptyCells();
-      const hasMoves = this._canMakeMove();
-
-      if (emptyCells.length === state.size * state.size) {
-        // All cells are empty - WIN condition
-        this._handleWin();
-      } else if (emptyCells.length === 0 && !hasMoves) {
-        // No empty cells and no possible moves - LOSE condition
-        this._handleLose();
-      }
+    _getAggregateKey(game) {
+      return `${game.mode}:${game.rows ?? game.size}x${game.cols ?? game.size}:${SpawnService.getGamePolicy(game)}`;
     },
 
     /**
-     * Checks if any valid move can be made on the current grid.
+     * Adds games to the aggregates of their mode, board size and, for infinity, spawn policy
      * @private
-     * @returns {boolean} True if a move is possible, false otherwise.
+     * @returns {Array<Object>} Updated aggregates
      */
-    _canMakeMove() {
-      for (let r = 0; r < state.size; r++) {
-        for (let c = 0; c < state.size; c++) {
-          const value = state.grid[r][c];
-          if (!GameValidator.canSplit(value)) continue;
-
-          // Check all 4 directions for possible splits
-          for (const [dr, dc] of Object.values(DIRECTION_DELTAS)) {
-            const nextRow = r + dr;
-            const nextCol = c + dc;
-
-            if (GameValidator.isValidPosition(nextRow, nextCol) && state.grid[nextRow][nextCol] === null) {
-              return true; // Found an empty cell next to a splittable cell
-            }
-          }
+    _rollUp(aggregates, games) {
+      const getKey = game => this._getAggregateKey(game);
+      const byKey = new Map(aggregates.map(entry => [getKey(entry), entry]));
+
+      games.forEach(game => {
+        const rows = game.rows ?? game.size;
+        const cols = game.cols ?? game.size;
+        const key = getKey(game);
+        const entry = byKey.get(key) ?? {
+          mode: game.mode, rows, cols, games: 0, moves: 0, score: 0,
+          ...(game.mode === 'infinity' && { spawnPolicy: SpawnService.getGamePolicy(game) }),
+          recordMoves: 0, recordScore: 0, bestEfficiency: 0, cleared: 0, from: null, to: null
+        };
+
+        entry.games++;
+        entry.moves += game.moves;
+        entry.score += game.score;
+        entry.recordMoves = Math.max(entry.recordMoves, game.moves);
+        entry.recordScore = Math.max(entry.recordScore, game.score);
+        entry.bestEfficiency = Math.max(entry.bestEfficiency, StatisticsService.getEfficiency(game.score, game.moves));
+        if (game.cleared) entry.cleared++;
+        if (game.timestamp) {
+          entry.from = entry.from && entry.from < game.timestamp ? entry.from : game.timestamp;
+          entry.to = entry.to && entry.to > game.timestamp ? entry.to : game.timestamp;
         }
-      }
-      return false; // No possible moves found
-    },
+        byKey.set(key, entry);
+      });
+      return [...byKey.values()];
+    }
+  };
 
+  // === Random Service ===
+  const RandomService = {
     /**
-     * Handles game win condition in Quest mode.
-     * @private
+     * Starts a new seeded random stream for the game
+     * @param {string} [seed] - Seed to use; a fresh one is generated if empty
      */
-    _handleWin() {
-      console.log('Quest Mode: You Win!');
-      this._saveCurrentGameStats();
-      UIService.showQuestWinPopup(state.levelMoves, state.levelScore); // Показываем levelMoves и levelScore
-      // totalMoves и totalScore сохраняются
+    reseed(seed) {
+      const normalizedSeed = String(seed ?? '').trim() || BulbEngine.Random.generateSeed();
+      state.seed = normalizedSeed;
+      state.rng = BulbEngine.Random.create(normalizedSeed);
     },
 
     /**
-     * Handles game lose condition in Quest mode.
-     * @private
+     * Draws next random number from the game stream
+     * @returns {number} Number in [0, 1)
      */
-    _handleLose() {
-      console.log('Quest Mode: You Lose!');
-      this._saveCurrentGameStats();
-      UIService.showGameOverPopup('you lose, try again?', state.levelMoves, state.levelScore); // Показываем levelMoves и levelScore
-      // При проигрыше сбрасываем totalMoves и totalScore
-      state.totalMoves = 0;
-      state.totalScore = 0;
+    next() {
+      if (!state.rng) this.reseed();
+      return BulbEngine.Random.next(state.rng);
     },
 
     /**
-     * Saves current game stats to localStorage.
-     * Should be called when a game ends (e.g., on restart or size change).
+     * Gets a Math.random-like function bound to the game stream
+     * @returns {Function} Random source in [0, 1)
      */
-    _saveCurrentGameStats() {
-      if (state.gameMode === 'infinity' && state.moves > 0) {
-        const gameStats = {
-          date: new Date().toLocaleDateString(),
-          time: new Date().toLocaleTimeString(),
-          size: state.size,
-          moves: state.moves,
-          score: state.score,
-          mode: state.gameMode
-        };
-        StorageService.saveGameStats(gameStats);
-      } else if (state.gameMode === 'quest' && state.levelMoves > 0) { // Для quest mode сохраняем level stats
-        const gameStats = {
-          date: new Date().toLocaleDateString(),
-          time: new Date().toLocaleTimeString(),
-          size: state.size,
-          moves: state.levelMoves, // Сохраняем level moves
-          score: state.levelScore, // Сохраняем level score
-          totalMoves: state.totalMoves, // Добавляем total moves
-          totalScore: state.totalScore, // Добавляем total score
-          mode: state.gameMode
-        };
-        StorageService.saveGameStats(gameStats);
-      }
+    source() {
+      return () => this.next();
     }
   };
 
-  // === Animation Service ===
-  const AnimationService = {
+  // === Spawn Service ===
+  const SpawnService = {
     /**
-     * Gets animation class for split direction
-     * @private
-     * @param {number} deltaRow - Row delta
-     * @param {number} deltaCol - Column delta
-     * @returns {string} CSS animation class
+     * @param {*} id - Policy id
+     * @returns {boolean} id names a built-in policy or 'custom'
      */
-    _getSplitAnimationClass(deltaRow, deltaCol) {
-      if (deltaRow !== 0) return ANIMATION_CLASSES.SPLIT_DIRECTIONS[deltaRow];
-      return ANIMATION_CLASSES.SPLIT_DIRECTIONS[0][deltaCol];
+    isPolicy(id) {
+      return id === 'custom' || Object.hasOwn(SPAWN_POLICIES, id);
     },
 
     /**
-     * Animates cell splitting effect
-     * @param {number} row - Cell row
-     * @param {number} col - Cell column
-     * @param {number} deltaRow - Row delta
-     * @param {number} deltaCol - Column delta
+     * Reads saved custom policy settings, keeping classic values for missing or out-of-range ones
+     * @param {*} data - Saved { rate, threshold, bigShare }
+     * @returns {{rate: number, threshold: number, bigShare: number}} Custom settings
      */
-    animateCellSplit(row, col, deltaRow, deltaCol) {
-      const cell = document.getElementById(`cell-${row}-${col}`);
-      if (!cell) return;
-      
-      const animationClass = this._getSplitAnimationClass(deltaRow, deltaCol);
-      if (!animationClass) return;
-      
-      cell.classList.add(animationClass);
-      setTimeout(() => cell.classList.remove(animationClass), ANIMATION_DURATION);
+    readCustom(data) {
+      return Object.fromEntries(Object.entries(CUSTOM_SPAWN_LIMITS).map(([key, [min, max]]) => {
+        const value = Number(data?.[key]);
+        return [key, Number.isInteger(value) && value >= min && value <= max ? value : DEFAULT_CUSTOM_SPAWN[key]];
+      }));
     },
 
     /**
-     * Animates split appearance with smooth transition
-     * @param {number} parentRow - Parent cell row
+     * @param {string} [id=state.spawnPolicy] - Policy id
+     * @returns {{values: Array<Array<number>>, rate: number, threshold: number}} Policy
+     */
+    getPolicy(id = state.spawnPolicy) {
+      if (id !== 'custom') return SPAWN_POLICIES[id] ?? SPAWN_POLICIES[DEFAULT_SPAWN_POLICY];
+
+      const { rate, threshold, bigShare } = state.customSpawn;
+      return { values: [[2, bigShare / 100], [4, 1 - bigShare / 100]], rate: rate / 100, threshold };
+    },
+
+    /**
+     * Plans the tile spawned before an infinity move
+     * @param {Array<Array<number|null>>} board - Grid the move starts from
+     * @returns {{row: number, col: number, value: number}|null} Cell to add or null
+     */
+    plan(board) {
+      const policy = this.getPolicy();
+      const span = GridService.getSpan();
+      const rng = RandomService.source();
+      // Only policies that can skip a spawn roll for it; the others spend no number on the roll
+      if (policy.rate < 1 && rng() >= policy.rate) return null;
+
+      return BulbEngine.planSpawn(board, {
+        pickValue: () => this._takeQueued(),
+        threshold: span * policy.threshold,
+        minEmpty: span,
+        rng
+      });
+    },
+
+    /**
+     * Draws the upcoming spawn values of a new game; quest games spawn nothing
+     */
+    resetQueue() {
+      state.spawnQueue = [];
+      if (state.gameMode === 'infinity') this._topUp();
+    },
+
+    /**
+     * Shows the next spawn values next to the board in infinity games
+     */
+    renderPreview() {
+      const isShown = state.gameMode === 'infinity' && state.spawnQueue.length > 0;
+      elements.spawnPreview?.classList.toggle('hidden', !isShown);
+      if (!elements.spawnPreviewTiles) return;
+
+      elements.spawnPreviewTiles.innerHTML = '';
+      if (!isShown) return;
+      state.spawnQueue.forEach(value => {
+        const tile = document.createElement('span');
+        tile.className = 'cell preview-tile';
+        UIService.paintCell(tile, value);
+        elements.spawnPreviewTiles.appendChild(tile);
+      });
+    },
+
+    /**
+     * Takes the next spawn value and draws a new one onto the end of the queue. The queue is
+     * replaced, not changed, so a move that changes nothing can put the old one back.
+     * @private
+     * @returns {number} Spawn value
+     */
+    _takeQueued() {
+      this._topUp(); // sessions from before the preview start with an empty queue
+      const [value, ...rest] = state.spawnQueue;
+      state.spawnQueue = rest;
+      this._topUp();
+      return value;
+    },
+
+    /** @private */
+    _topUp() {
+      const { values } = this.getPolicy();
+      const queue = [...state.spawnQueue];
+      while (queue.length < SPAWN_PREVIEW_SIZE) {
+        queue.push(GridService.getSpawnValue(RandomService.source(), values));
+      }
+      state.spawnQueue = queue;
+    },
+
+    /**
+     * Describes the policy in play for game stats, so only scores from equal policies are compared
+     * @returns {Object} { spawnPolicy }, plus { spawnSettings } for the custom policy
+     */
+    getStats() {
+      return {
+        spawnPolicy: state.spawnPolicy,
+        ...(state.spawnPolicy === 'custom' && { spawnSettings: { ...state.customSpawn } })
+      };
+    },
+
+    /**
+     * Names the policy in play, with its settings for the custom one
+     * @returns {string} e.g. 'classic' or 'custom 100/25/20' (chance/threshold/big share)
+     */
+    describe() {
+      if (state.spawnPolicy !== 'custom') return state.spawnPolicy;
+      const { rate, threshold, bigShare } = state.customSpawn;
+      return `custom ${rate}/${threshold}/${bigShare}`;
+    },
+
+    /**
+     * Reads the policy a saved game was played with; infinity games from before policies were classic
+     * @param {Object} game - Game stats or rolled-up totals
+     * @returns {string|null} Policy id, or null for quest games
+     */
+    getGamePolicy(game) {
+      if (game.mode !== 'infinity') return null;
+      return this.isPolicy(game.spawnPolicy) ? game.spawnPolicy : DEFAULT_SPAWN_POLICY;
+    },
+
+    /**
+     * Picks a policy in settings; it applies when settings are saved
+     * @param {string} id - Policy id
+     */
+    select(id) {
+      if (!this.isPolicy(id)) return;
+      state.selectedSpawnPolicy = id;
+      this.renderSettings(false);
+    },
+
+    /**
+     * Reads the policy picked in settings and the custom settings typed in
+     * @returns {{id: string, custom: Object, changed: boolean}} Settings to apply, and
+     *   whether infinity games would spawn differently with them
+     */
+    readSettings() {
+      const id = state.selectedSpawnPolicy;
+      const custom = this.readCustom({
+        rate: elements.spawnRateInput?.value,
+        threshold: elements.spawnThresholdInput?.value,
+        bigShare: elements.spawnBigShareInput?.value
+      });
+      const changed = id !== state.spawnPolicy ||
+        (id === 'custom' && Object.keys(custom).some(key => custom[key] !== state.customSpawn[key]));
+      return { id, custom, changed };
+    },
+
+    /**
+     * Makes settings read by readSettings() the ones infinity games spawn with
+     * @param {{id: string, custom: Object}} settings - Spawn settings
+     */
+    apply({ id, custom }) {
+      state.spawnPolicy = id;
+      state.customSpawn = custom;
+    },
+
+    /**
+     * Marks the picked policy and shows the custom settings when it is picked
+     * @param {boolean} [syncInputs=true] - Also fill the custom inputs from the saved settings
+     */
+    renderSettings(syncInputs = true) {
+      elements.spawnPolicyOptions?.querySelectorAll('button').forEach(button => {
+        button.classList.toggle('selected', button.dataset.policy === state.selectedSpawnPolicy);
+      });
+      elements.customSpawnOptions?.classList.toggle('hidden', state.selectedSpawnPolicy !== 'custom');
+      if (!syncInputs) return;
+
+      if (elements.spawnRateInput) elements.spawnRateInput.value = state.customSpawn.rate;
+      if (elements.spawnThresholdInput) elements.spawnThresholdInput.value = state.customSpawn.threshold;
+      if (elements.spawnBigShareInput) elements.spawnBigShareInput.value = state.customSpawn.bigShare;
+    }
+  };
+
+  // === Grid Service ===
+  const GridService = {
+    /**
+     * Creates empty grid of specified size
+     * @param {number} rows - Row count
+     * @param {number} [cols=rows] - Column count
+     * @returns {Array<Array<null>>} Empty grid
+     */
+    createEmptyGrid(rows, cols = rows) {
+      return BulbEngine.Board.create(rows, cols);
+    },
+
+    /**
+     * Formats board dimensions as stored in settings and shown to the player
+     * @param {number} rows - Row count
+     * @param {number} cols - Column count
+     * @returns {string} Size such as '9x11'
+     */
+    formatSize(rows, cols) {
+      return `${rows}x${cols}`;
+    },
+
+    /**
+     * Parses a board size: '9' for a square board or '7x9' for rows x columns
+     * @param {string|number|null} text - Size to parse
+     * @returns {{rows: number, cols: number}|null} Dimensions, or null if invalid or out of limits
+     */
+    parseSize(text) {
+      const match = /^\s*(\d+)\s*(?:[x×]\s*(\d+))?\s*$/i.exec(String(text ?? ''));
+      if (!match) return null;
+
+      const rows = parseInt(match[1], 10);
+      const cols = match[2] === undefined ? rows : parseInt(match[2], 10);
+      return this.isValidSize(rows, cols) ? { rows, cols } : null;
+    },
+
+    /**
+     * @param {number} rows - Row count
+     * @param {number} cols - Column count
+     * @returns {boolean} Both sides are within BOARD_SIDE_LIMITS
+     */
+    isValidSize(rows, cols) {
+      return [rows, cols].every(side => Number.isInteger(side) &&
+        side >= BOARD_SIDE_LIMITS.MIN && side <= BOARD_SIDE_LIMITS.MAX);
+    },
+
+    /**
+     * Gets the average side length, which scales spawn thresholds to the board
+     * @param {number} [rows=state.rows] - Row count
+     * @param {number} [cols=state.cols] - Column count
+     * @returns {number} Average of rows and columns
+     */
+    getSpan(rows = state.rows, cols = state.cols) {
+      return (rows + cols) / 2;
+    },
+
+    /**
+     * Gets the exponent of the largest starting tile for a board
+     * @private
+     * @returns {number} Exponent of two
+     */
+    _getTopExponent(rows, cols) {
+      return Math.max(2, Math.round(TILE_FORMULA.TOP_EXPONENT_PER_AREA_BIT * Math.log2(rows * cols)));
+    },
+
+    /**
+     * Gets the hand-tuned tiles of an original square size
+     * @private
+     * @returns {Object|undefined} TUNED_TILES entry, if the board has one
+     */
+    _getTuned(rows, cols) {
+      return rows === cols ? TUNED_TILES[rows] : undefined;
+    },
+
+    /**
+     * Computes the starting tiles for a board: the tuned ones for the original square sizes,
+     * otherwise a halving series that grows with the area
+     * @param {number} [rows=state.rows] - Row count
+     * @param {number} [cols=state.cols] - Column count
+     * @returns {Array<number>} Tile values, largest first
+     */
+    getInitialTiles(rows = state.rows, cols = state.cols) {
+      const tuned = this._getTuned(rows, cols);
+      if (tuned) return [...tuned.initial];
+
+      const topExponent = this._getTopExponent(rows, cols);
+      const count = Math.round(TILE_FORMULA.BASE_TILE_COUNT +
+        TILE_FORMULA.TILES_PER_SIDE * Math.sqrt(rows * cols));
+      return Array.from({ length: Math.min(count, topExponent) },
+        (_, index) => 2 ** (topExponent - index));
+    },
+
+    /**
+     * Picks the value of a spawned tile for a board
+     * @param {Function} rng - Random source in [0, 1)
+     * @param {Array<Array<number>>} values - Weighted divisors of the largest starting tile (see SPAWN_POLICIES)
+     * @param {number} [rows=state.rows] - Row count
+     * @param {number} [cols=state.cols] - Column count
+     * @returns {number} Tile value
+     */
+    getSpawnValue(rng, values, rows = state.rows, cols = state.cols) {
+      let roll = rng() * values.reduce((sum, [, weight]) => sum + weight, 0);
+      const [divisor] = values.find(([, weight]) => (roll -= weight) < 0) ?? values[values.length - 1];
+      const top = this._getTuned(rows, cols)?.spawnTop ?? 2 ** this._getTopExponent(rows, cols);
+      return Math.max(2, top / divisor);
+    },
+
+    /**
+     * Counts walls, sinks and locked tiles for a generated quest level
+     * @param {string} difficulty - Difficulty
+     * @param {number} [rows=state.rows] - Row count
+     * @param {number} [cols=state.cols] - Column count
+     * @returns {{walls: number, sinks: number, locked: number}} Special cell counts
+     */
+    getSpecialCells(difficulty, rows = state.rows, cols = state.cols) {
+      const perArea = QUEST_SPECIAL_CELLS[difficulty] ?? QUEST_SPECIAL_CELLS[DEFAULT_DIFFICULTY];
+      const scale = rows * cols / 25;
+      return {
+        walls: Math.round(perArea.walls * scale),
+        sinks: Math.round(perArea.sinks * scale),
+        locked: Math.round(perArea.locked * scale)
+      };
+    },
+
+    /**
+     * Deep clones grid
+     * @param {Array<Array<number|null>>} grid - Grid to clone
+     * @returns {Array<Array<number|null>>} Cloned grid
+     */
+    cloneGrid(grid) {
+      return BulbEngine.Board.clone(grid);
+    },
+
+    /**
+     * Gets all empty cell positions
+     * @returns {Array<[number, number]>} Array of empty positions
+     */
+    getAllEmptyCells() {
+      return BulbEngine.Board.getEmptyCells(state.grid);
+    },
+
+    /**
+     * Calculates total grid value sum
+     * @returns {number} Sum of all cell values
+     */
+    calculateGridSum() {
+      return BulbEngine.Board.sum(state.grid);
+    },
+
+    /**
+     * Checks if two grids are identical.
+     * @param {Array<Array<number|null>>} grid1 
+     * @param {Array<Array<number|null>>} grid2 
+     * @returns {boolean} True if grids are identical, false otherwise.
+     */
+    areGridsIdentical(grid1, grid2) {
+      return BulbEngine.Board.areIdentical(grid1, grid2);
+    }
+  };
+
+  // === Game Logic ===
+  const GameLogic = {
+    /**
+     * Validates and executes game move in specified direction
+     * @param {string} direction - Direction key (ArrowUp, ArrowDown, etc.)
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.instant=false] - Skip the debounce and the move's animations
+     * @returns {boolean} The move was made and changed the board
+     */
+    move(direction, { instant = false } = {}) {
+      if (!GameValidator.canExecuteMove({ ignoreDebounce: instant })) return false;
+      
+      state.lastMoveTime = Date.now();
+      state.isProcessing = true;
+
+      try {
+        // Add random cell at the start of the move for infinity mode, if not the very first move
+        const spawn = state.gameMode === 'infinity' && state.moves > 0 ?
+          board => this.addRandomCell(board) : null;
+
+        const rngBefore = { ...state.rng };
+        const spawnQueueBefore = state.spawnQueue;
+        const result = BulbEngine.move(state.grid, direction, { spawn });
+        
+        if (result.changed) {
+          this._finalizeMoveAndUpdate(result, instant);
+        } else {
+          // Nothing happened, so nothing may be drawn either
+          state.rng = rngBefore;
+          state.spawnQueue = spawnQueueBefore;
+        }
+        return result.changed;
+      } catch (error) {
+        ErrorHandler.handle(error, 'GameLogic.move');
+        return false;
+      } finally {
+        state.isProcessing = false;
+      }
+    },
+
+    /**
+     * Finalizes move and updates game state
+     * @private
+     * @param {Object} result - Move result from BulbEngine.move
+     * @param {boolean} [instant=false] - Show the result without animations
+     */
+    _finalizeMoveAndUpdate(result, instant = false) {
+      TimerService.recordMove();
+      HintService.advance(result.direction, result.board);
+      const previousGrid = state.grid;
+      state.grid = result.board;
+      this._applyMoveCounters(result);
+      const { node, isNew } = HistoryService.record(previousGrid, result);
+      if (isNew) AchievementService.recordMove(result); // a replayed move was counted when first played
+      RecordingService.recordMove(node.direction, node.spawn);
+      this._emitMoveEvents(result);
+      AccessibilityService.announce(AccessibilityService.describeMove(result));
+      
+      AnimationService.playMove(result, () => {
+        // Replaying a move after undo works like redo: a result it reaches was already recorded
+        if (isNew) {
+          this._checkGameStatus();
+        } else {
+          this._showGameOutcome();
+        }
+        HintService.refresh();
+        SessionService.save();
+        MoveQueue.drain();
+      }, { instant });
+    },
+
+    /**
+     * Tells event subscribers about a finished move: its spawn, its vanished tiles, then the move itself
+     * @private
+     * @param {Object} result - Move result from BulbEngine.move
+     */
+    _emitMoveEvents(result) {
+      const spawn = result.events.find(event => event.type === 'spawn');
+      if (spawn) EventService.emit('spawn', { row: spawn.row, col: spawn.col, value: spawn.value });
+
+      const vanished = result.events
+        .filter(event => event.type === 'vanish')
+        .map(({ row, col }) => ({ row, col }));
+      if (vanished.length > 0) EventService.emit('vanish', { cells: vanished, scoreGain: result.scoreGain });
+
+      EventService.emit('move', {
+        direction: result.direction,
+        scoreGain: result.scoreGain,
+        ...this.getState()
+      });
+    },
+
+    /**
+     * Counts the move, its score gain and vanished pairs towards the current mode's totals
+     * @private
+     * @param {Object} result - Move result from BulbEngine.move
+     */
+    _applyMoveCounters({ scoreGain, events }) {
+      if (state.gameMode === 'infinity') {
+        state.moves++;
+        state.score += scoreGain;
+      } else { // quest mode
+        state.levelMoves++;
+        state.totalMoves++;
+        state.levelScore += scoreGain;
+        state.totalScore += scoreGain;
+        state.levelPairs += Math.floor(events.filter(event => event.type === 'vanish').length / 2);
+      }
+    },
+
+    /**
+     * Picks a random cell to add before a move, following the spawn policy
+     * @param {Array<Array<number|null>>} board - Grid the move starts from
+     * @returns {{row: number, col: number, value: number}|null} Cell to add or null
+     */
+    addRandomCell(board) {
+      // This function is only called in infinity mode now
+      if (state.gameMode !== 'infinity') return null;
+      return SpawnService.plan(board);
+    },
+
+    /**
+     * Undoes last move if available
+     */
+    undo() {
+      if (!HistoryService.canUndo()) return;
+
+      try {
+        AnimationService.cancelPlayback();
+        HistoryService.undo();
+        this._afterHistoryJump();
+      } catch (error) {
+        ErrorHandler.handle(error, 'GameLogic.undo');
+      }
+    },
+
+    /**
+     * Redoes the move last undone from the current position
+     */
+    redo() {
+      if (!HistoryService.canRedo()) return;
+
+      try {
+        AnimationService.cancelPlayback();
+        HistoryService.redo();
+        this._afterHistoryJump();
+      } catch (error) {
+        ErrorHandler.handle(error, 'GameLogic.redo');
+      }
+    },
+
+    /**
+     * Jumps to another position in the undo tree, e.g. the tip of another branch
+     * @param {number} nodeId - Undo tree node to jump to
+     */
+    jumpToHistory(nodeId) {
+      try {
+        AnimationService.cancelPlayback();
+        HistoryService.jumpTo(nodeId);
+        this._afterHistoryJump();
+      } catch (error) {
+        ErrorHandler.handle(error, 'GameLogic.jumpToHistory');
+      }
+    },
+
+    /**
+     * Refreshes everything that depends on the position after undo, redo or a jump
+     * @private
+     */
+    _afterHistoryJump() {
+      PerformanceUtils.batchUpdate(() => UIService.render());
+      UIService.hideGameOverPopup(); // In case undoing from a lose state
+      UIService.hideQuestWinPopup();
+      this._showGameOutcome(); // redoing into a cleared or stuck board shows its popup, without recording it again
+      HintService.refresh();
+      SessionService.save();
+    },
+
+    /**
+     * Restarts game with fresh state
+     * @param {Object} [options] - Restart options
+     * @param {string} [options.seed] - Seed for the new game; random if omitted
+     * @param {number} [options.rows] - Row count for the new game
+     * @param {number} [options.cols] - Column count for the new game
+     * @param {string} [options.mode] - Game mode for the new game ('infinity' or 'quest')
+     * @param {Object} [options.spawn] - Spawn settings for the new game (see SpawnService.readSettings)
+     */
+    restart(options = {}) {
+      try {
+        this._saveCurrentGameStats(); // Save current game before restarting
+        if (options.spawn) SpawnService.apply(options.spawn); // the old game's stats keep its own policy
+        AchievementService.resetStreak(); // like the quest totals, the streak starts over
+        if (state.daily) DailyService.leave();
+        if (state.level) LevelService.leave();
+        if (options.rows && options.cols) {
+          state.rows = state.selectedRows = options.rows;
+          state.cols = state.selectedCols = options.cols;
+        }
+        if (options.mode) state.gameMode = options.mode;
+        RandomService.reseed(options.seed);
+        Object.assign(state, {
+          moves: 0,
+          score: 0,
+          levelMoves: 0,
+          totalMoves: 0,
+          levelScore: 0,
+          levelPairs: 0,
+          totalScore: 0,
+          history: null,
+          disappear: {},
+          isProcessing: false
+        });
+        
+        UIService.hideGameOverPopup();
+        TimerService.reset();
+        GameSetup.createGrid();
+      } catch (error) {
+        ErrorHandler.handle(error, 'GameLogic.restart');
+      }
+    },
+
+    /**
+     * Starts a game on a given board, in the current mode. The board is
+     * played like a hand-made level, so a restart goes back to the player's size.
+     * @param {Array<Array<number|string|null>>} grid - Board: null, tiles, locked tiles, walls or sinks
+     * @throws {Error} If the board is not a valid grid
+     */
+    loadBoard(grid) {
+      const rows = Array.isArray(grid) ? grid.length : 0;
+      const cols = Array.isArray(grid?.[0]) ? grid[0].length : 0;
+      if (!GridService.isValidSize(rows, cols) || !SessionService._isValidGrid(grid, rows, cols)) {
+        throw new Error('board must be a rectangular grid of empty cells, walls, sinks and tiles');
+      }
+
+      LevelService.play({ rows, cols, grid, par: null }, { source: 'script' }, { mode: state.gameMode });
+    },
+
+    /**
+     * Switches game mode and starts a new game in it
+     * @param {string} mode - 'infinity' or 'quest'
+     * @throws {Error} If the mode is unknown
+     */
+    setMode(mode) {
+      if (mode !== 'infinity' && mode !== 'quest') throw new Error(`unknown mode "${mode}"`);
+
+      this.restart({ mode });
+      if (elements.gameModeToggleBtn) elements.gameModeToggleBtn.checked = mode === 'quest';
+      StorageService.saveState();
+    },
+
+    /**
+     * Reads the game as plain data; changing it doesn't affect the game
+     * @returns {Object} Mode, size, board, counters, seed and par
+     */
+    getState() {
+      return {
+        mode: state.gameMode,
+        rows: state.rows,
+        cols: state.cols,
+        grid: GridService.cloneGrid(state.grid),
+        moves: state.moves,
+        score: state.score,
+        levelMoves: state.levelMoves,
+        levelScore: state.levelScore,
+        totalMoves: state.totalMoves,
+        totalScore: state.totalScore,
+        seed: state.seed,
+        par: state.par,
+        daily: state.daily?.date ?? null,
+        level: LevelService.getId(),
+        timer: TimerService.getSummary(),
+        objective: ObjectiveService.getProgress(),
+        nextSpawns: [...state.spawnQueue],
+        canUndo: HistoryService.canUndo()
+      };
+    },
+
+    /**
+     * Restarts game in Quest mode with the same initial grid.
+     */
+    tryAgainQuestMode() {
+      try {
+        if (state.gameMode === 'quest' && state.initialGrid.length > 0) {
+          this._saveCurrentGameStats();
+          Object.assign(state, {
+            levelMoves: 0,
+            levelScore: 0,
+            levelPairs: 0,
+            disappear: {},
+            isProcessing: false,
+            grid: GridService.cloneGrid(state.initialGrid) // Restore initial grid
+          });
+          AnimationService.cancelPlayback();
+          RecordingService.start();
+          HistoryService.reset();
+          // totalMoves и totalScore не сбрасываются здесь
+          UIService.hideGameOverPopup();
+          HintService.refresh();
+          SessionService.save();
+          PerformanceUtils.batchUpdate(() => UIService.render());
+        } else {
+          // Fallback to regular restart if not in quest mode or no initial grid
+          this.restart();
+        }
+      } catch (error) {
+        ErrorHandler.handle(error, 'GameLogic.tryAgainQuestMode');
+      }
+    },
+
+    /**
+     * Restarts game in Quest mode with a newly generated grid.
+     */
+    tryAnotherQuestMode() {
+      try {
+        this.restart(); // This will create a new grid, resetting all quest counters
+      } catch (error) {
+        ErrorHandler.handle(error, 'GameLogic.tryAnotherQuestMode');
+      }
+    },
+
+    /**
+     * Starts the next quest level, generating a new grid but keeping current moves and score.
+     */
+    startNextQuestLevel() {
+      try {
+        UIService.hideQuestWinPopup(); // Hide the win popup
+        const isTestPlay = state.level?.source === 'editor';
+        if (state.daily || isTestPlay || state.level?.source === 'script') {
+          // The daily board, editor test plays and scripted boards are one-offs: go back to a fresh regular game
+          DailyService.leave();
+          LevelService.leave();
+          RandomService.reseed();
+          Object.assign(state, { moves: 0, score: 0, totalMoves: 0, totalScore: 0 });
+          TimerService.reset();
+        } else if (TimerService.isOver()) {
+          // The speedrun is complete: the next level starts another one
+          RandomService.reseed();
+          Object.assign(state, { totalMoves: 0, totalScore: 0 });
+          TimerService.reset();
+        }
+        TimerService.startLevel();
+        // Сбрасываем только счетчики уровня
+        state.levelMoves = 0;
+        state.levelScore = 0;
+        state.levelPairs = 0;
+        state.history = null; // Очищаем историю для нового уровня
+        if (state.level?.source === 'pack') {
+          PackService.playNext(); // the pack decides what comes next
+          return;
+        }
+        GameSetup.createGrid(); // Create a new grid
+        PerformanceUtils.batchUpdate(() => UIService.render());
+        if (isTestPlay) EditorService.open();
+      } catch (error) {
+        ErrorHandler.handle(error, 'GameLogic.startNextQuestLevel');
+      }
+    },
+
+    /**
+     * Checks game status for Quest mode (win/lose).
+     * @private
+     */
+    _checkGameStatus() {
+      const outcome = this._getGameOutcome();
+      if (!outcome) return;
+
+      if (outcome.won) {
+        this._handleWin();
+      } else {
+        this._handleLose(outcome.message);
+      }
+    },
+
+    /**
+     * Re-shows the end popup of a position that is already decided, without
+     * recording the result again
+     * @private
+     */
+    _showGameOutcome() {
+      const outcome = this._getGameOutcome();
+      if (!outcome) return;
+
+      if (outcome.won) {
+        UIService.showQuestWinPopup(state.levelMoves, state.levelScore);
+      } else {
+        UIService.showGameOverPopup(outcome.message);
+      }
+    },
+
+    /**
+     * Works out whether the current quest position is won or lost
+     * @private
+     * @returns {{won: boolean, message?: string}|null} Outcome, or null while the level goes on
+     */
+    _getGameOutcome() {
+      if (state.gameMode !== 'quest') return null;
+
+      const progress = ObjectiveService.getProgress();
+      if (progress) {
+        if (progress.done) return { won: true };
+        if (progress.movesLeft <= 0) return { won: false, message: 'out of moves, try again?' };
+        if (!this._canMakeMove()) return { won: false, message: 'no tile can move, try again?' };
+        return null;
+      }
+
+      const emptyCells = GridService.getAllEmptyCells();
+      const hasMoves = this._canMakeMove();
+
+      if (BulbEngine.Board.isCleared(state.grid)) {
+        // All cells are empty - WIN condition
+        return { won: true };
+      }
+      if (emptyCells.length === 0 && !hasMoves) {
+        // No empty cells and no possible moves - LOSE condition
+        return { won: false };
+      }
+      return null;
+    },
+
+    /**
+     * Checks if any valid move can be made on the current grid.
+     * @private
+     * @returns {boolean} True if a move is possible, false otherwise.
+     */
+    _canMakeMove() {
+      return BulbEngine.Rules.hasAvailableMove(state.grid);
+    },
+
+    /**
+     * Handles game win condition in Quest mode.
+     * @private
+     */
+    _handleWin() {
+      console.log('Quest Mode: You Win!');
+      TimerService.recordLevelClear();
+      this._saveCurrentGameStats(true);
+      DailyService.recordResult(true);
+      PackService.recordWin();
+      AchievementService.recordWin();
+      EventService.emit('win', this.getState());
+      UIService.showQuestWinPopup(state.levelMoves, state.levelScore); // Показываем levelMoves и levelScore
+      // totalMoves и totalScore сохраняются
+    },
+
+    /**
+     * Handles game lose condition in Quest mode.
+     * @private
+     * @param {string} [message='you lose, try again?'] - Popup message
+     */
+    _handleLose(message = 'you lose, try again?') {
+      console.log('Quest Mode: You Lose!');
+      this._saveCurrentGameStats();
+      DailyService.recordResult(false);
+      AchievementService.recordLose();
+      EventService.emit('lose', this.getState());
+      UIService.showGameOverPopup(message, state.levelMoves, state.levelScore); // Показываем levelMoves и levelScore
+      // При проигрыше сбрасываем totalMoves и totalScore
+      state.totalMoves = 0;
+      state.totalScore = 0;
+    },
+
+    /**
+     * Saves current game stats to localStorage.
+     * Should be called when a game ends (e.g., on restart or size change).
+     * @param {boolean} [cleared=false] - The quest level was cleared
+     */
+    _saveCurrentGameStats(cleared = false) {
+      if (state.gameMode === 'infinity' && state.moves > 0) {
+        const gameStats = {
+          timestamp: new Date().toISOString(),
+          rows: state.rows,
+          cols: state.cols,
+          moves: state.moves,
+          score: state.score,
+          mode: state.gameMode,
+          ...SpawnService.getStats(),
+          ...(state.timer && { timed: TimerService.getSummary() }),
+          recording: RecordingService.getRecording()
+        };
+        StorageService.saveGameStats(gameStats);
+      } else if (state.gameMode === 'quest' && state.levelMoves > 0) { // Для quest mode сохраняем level stats
+        const gameStats = {
+          timestamp: new Date().toISOString(),
+          rows: state.rows,
+          cols: state.cols,
+          moves: state.levelMoves, // Сохраняем level moves
+          score: state.levelScore, // Сохраняем level score
+          totalMoves: state.totalMoves, // Добавляем total moves
+          totalScore: state.totalScore, // Добавляем total score
+          cleared,
+          mode: state.gameMode,
+          ...(state.par !== null && { par: state.par }),
+          ...(state.daily && { daily: state.daily.date }),
+          ...(state.level && { level: LevelService.getId() }),
+          ...(state.timer && { timed: TimerService.getSummary() }),
+          recording: RecordingService.getRecording()
+        };
+        StorageService.saveGameStats(gameStats);
+      }
+    }
+  };
+
+  // === Move Queue ===
+  const MoveQueue = {
+    /**
+     * Directions waiting for the board to settle, oldest first
+     * @private
+     */
+    _moves: [],
+    /** @private */
+    _timer: null,
+
+    /**
+     * Plays a player's move now if the board is ready, or queues it until it is.
+     * Moves beyond the queue depth are dropped, and the queue flashes to say so.
+     * @param {string} direction - Direction key (ArrowUp, ArrowDown, etc.)
+     */
+    push(direction) {
+      if (this._moves.length === 0 && AnimationService.isSettled() && GameValidator.canExecuteMove()) {
+        GameLogic.move(direction);
+        return;
+      }
+      if (!this._canWait()) return;
+
+      if (this._moves.length >= state.moveQueueDepth) {
+        this._render(true);
+        return;
+      }
+      this._moves.push(direction);
+      this._render();
+      this.drain();
+    },
+
+    /**
+     * Plays the next queued move once the board has settled and the debounce
+     * has passed. A deep queue, with the option on, skips both.
+     */
+    drain() {
+      if (this._moves.length === 0) return;
+      if (!this._canWait()) {
+        this.clear();
+        return;
+      }
+
+      const instant = state.skipQueuedAnimations && this._moves.length >= MOVE_QUEUE.DEEP;
+      if (instant) {
+        clearTimeout(this._timer);
+        this._timer = null;
+      } else {
+        if (this._timer !== null || !AnimationService.isSettled()) return; // drain() runs again once ready
+        const wait = DEBOUNCE_TIME - (Date.now() - state.lastMoveTime);
+        if (wait > 0) {
+          this._timer = setTimeout(() => {
+            this._timer = null;
+            this.drain();
+          }, wait);
+          return;
+        }
+      }
+
+      const direction = this._moves.shift();
+      this._render();
+      if (!GameLogic.move(direction, { instant })) this.drain(); // a move that changes nothing doesn't wait
+    },
+
+    /**
+     * Drops every queued move
+     */
+    clear() {
+      clearTimeout(this._timer);
+      this._timer = null;
+      if (this._moves.length === 0) return;
+      this._moves = [];
+      this._render();
+    },
+
+    /**
+     * Queued moves only make sense while the board is being played
+     * @private
+     */
+    _canWait() {
+      return !state.isOverlayActive && !state.replay && !state.isGenerating && !UIService.isPopupShown();
+    },
+
+    /**
+     * Shows the queued moves as arrows
+     * @private
+     * @param {boolean} [full=false] - Flash the queue: a move was dropped
+     */
+    _render(full = false) {
+      if (!elements.moveQueue) return;
+      elements.moveQueue.textContent = this._moves.map(direction => DIRECTION_ARROWS[direction]).join(' ');
+      if (!full) return;
+      elements.moveQueue.classList.add('full');
+      setTimeout(() => elements.moveQueue.classList.remove('full'), ANIMATION_DURATION);
+    }
+  };
+
+  // === Timer Service ===
+  const TimerService = {
+    /** @private */
+    _interval: null,
+    /**
+     * When the clock last counted
+     * @private
+     */
+    _lastTick: 0,
+
+    /**
+     * Sets up the clock for a new game. Timed games get one, except on the
+     * daily board and hand-made levels; it starts with the first move.
+     */
+    reset() {
+      this._stop();
+      const isSpeedrun = state.gameMode === 'quest';
+      state.timer = state.timedMode && !state.daily && !state.level ? {
+        variant: isSpeedrun ? 'speedrun' : 'score',
+        limit: isSpeedrun ? null : TIMED.SCORE_DURATION,
+        levels: isSpeedrun ? state.speedrunLevels : null,
+        elapsed: 0,
+        splits: [], // elapsed time at each cleared level
+        levelCleared: false, // the level being played has its split already
+        started: false,
+        finished: false
+      } : null;
+      this.render();
+    },
+
+    /**
+     * Restores the clock of a resumed game
+     * @param {*} timer - Saved clock
+     */
+    restore(timer) {
+      this._stop();
+      const isValid = timer && ['score', 'speedrun'].includes(timer.variant) &&
+        Number.isFinite(timer.elapsed) && timer.elapsed >= 0 &&
+        Array.isArray(timer.splits) && timer.splits.every(Number.isFinite);
+      state.timer = isValid ? { ...timer, splits: [...timer.splits] } : null;
+      if (state.timer?.started && !state.timer.finished) this._start();
+    },
+
+    /**
+     * Starts the clock on the game's first move
+     */
+    recordMove() {
+      if (!state.timer || state.timer.started) return;
+      state.timer.started = true;
+      this._start();
+    },
+
+    /**
+     * Takes a split for a cleared speedrun level; the last one ends the run.
+     * A level gives one split however often it is cleared (see startLevel).
+     */
+    recordLevelClear() {
+      const timer = state.timer;
+      if (timer?.variant !== 'speedrun' || timer.finished || timer.levelCleared) return;
+
+      this._tick(); // count up to the clear
+      timer.levelCleared = true;
+      timer.splits.push(timer.elapsed);
+      if (timer.splits.length >= timer.levels) this._finish();
+      this.render();
+    },
+
+    /**
+     * Shows the end popup of a score game whose time is up
+     */
+    showTimeUp() {
+      UIService.showGameOverPopup(`time's up! score: ${state.score}`);
+    },
+
+    /**
+     * Lets the next speedrun level take a split
+     */
+    startLevel() {
+      if (state.timer) state.timer.levelCleared = false;
+    },
+
+    /**
+     * @returns {boolean} The timed game is over: time is up or the speedrun is complete
+     */
+    isOver() {
+      return Boolean(state.timer?.finished);
+    },
+
+    /**
+     * Describes the clock for game stats and scripts
+     * @returns {Object|null} { variant, time, splits, levels, finished }, or null for untimed games
+     */
+    getSummary() {
+      const timer = state.timer;
+      if (!timer) return null;
+      return {
+        variant: timer.variant,
+        time: Math.round(timer.elapsed),
+        splits: timer.splits.map(Math.round),
+        levels: timer.levels,
+        finished: timer.finished
+      };
+    },
+
+    /**
+     * Resumes counting from now when the tab is shown again, so hidden time doesn't count
+     */
+    handleVisibilityChange() {
+      this._lastTick = Date.now();
+      this.render();
+    },
+
+    /**
+     * Shows the clock: time left for score games, time taken and level for speedruns
+     */
+    render() {
+      const timer = state.timer;
+      elements.timerDisplay?.classList.toggle('hidden', !timer);
+      if (!timer) return;
+
+      const shown = timer.variant === 'score' ? Math.max(timer.limit - timer.elapsed, 0) : timer.elapsed;
+      if (elements.timerValue) elements.timerValue.textContent = this.formatTime(shown);
+      if (elements.timerProgress) {
+        elements.timerProgress.textContent = timer.variant === 'speedrun' ?
+          `level: ${Math.min(timer.splits.length + 1, timer.levels)} / ${timer.levels}` : '';
+      }
+      elements.timerDisplay?.classList.toggle('paused',
+        timer.started && !timer.finished && !this._isRunning());
+    },
+
+    /**
+     * @param {number} ms - Duration
+     * @returns {string} Duration as m:ss.t
+     */
+    formatTime(ms) {
+      const tenths = Math.floor(ms / 100);
+      const seconds = String(Math.floor(tenths / 10) % 60).padStart(2, '0');
+      return `${Math.floor(tenths / 600)}:${seconds}.${tenths % 10}`;
+    },
+
+    /**
+     * @returns {string} Time of the last cleared speedrun level, plus the total once the run is complete
+     */
+    formatLastSplit() {
+      const splits = state.timer?.splits ?? [];
+      if (splits.length === 0) return '-';
+      const split = this.formatTime(splits[splits.length - 1] - (splits[splits.length - 2] ?? 0));
+      return state.timer.finished ? `${split} (total ${this.formatTime(state.timer.elapsed)})` : split;
+    },
+
+    /**
+     * Names a timed game kind for best results
+     * @param {Object} timer - Clock
+     * @param {number} rows - Row count
+     * @param {number} cols - Column count
+     * @returns {string} e.g. 'score:5x5' or 'speedrun:5x5:5'
+     */
+    getRecordKey(timer, rows, cols) {
+      const size = GridService.formatSize(rows, cols);
+      return timer.variant === 'score' ? `score:${size}` : `speedrun:${size}:${timer.levels}`;
+    },
+
+    /** @private */
+    _start() {
+      this._lastTick = Date.now();
+      this._interval ??= setInterval(ErrorHandler.wrap(() => this._tick(), 'TimerService.tick'), TIMED.TICK);
+    },
+
+    /** @private */
+    _stop() {
+      clearInterval(this._interval);
+      this._interval = null;
+    },
+
+    /**
+     * Counts the time since the last tick unless the clock is paused, and ends score games at the limit
+     * @private
+     */
+    _tick() {
+      const now = Date.now();
+      const timer = state.timer;
+      if (timer?.started && !timer.finished && this._isRunning()) timer.elapsed += now - this._lastTick;
+      this._lastTick = now;
+
+      if (timer?.variant === 'score' && !timer.finished && timer.elapsed >= timer.limit) {
+        timer.elapsed = timer.limit;
+        this._finish();
+        MoveQueue.clear();
+        this.showTimeUp();
+        SessionService.save();
+      }
+      this.render();
+    },
+
+    /**
+     * The clock runs only while the board is shown and playable
+     * @private
+     */
+    _isRunning() {
+      return !document.hidden && !state.isOverlayActive && !state.isGenerating && !state.replay &&
+        !elements.gameContainer?.classList.contains('hidden') && !UIService.isPopupShown();
+    },
+
+    /**
+     * Stops the clock and keeps the result if it is the best of its kind
+     * @private
+     */
+    _finish() {
+      const timer = state.timer;
+      timer.finished = true;
+      this._stop();
+
+      const key = this.getRecordKey(timer, state.rows, state.cols);
+      const previous = StorageService.loadTimedRecords()[key];
+      const timestamp = new Date().toISOString();
+      if (timer.variant === 'score' && !(previous?.score >= state.score)) {
+        StorageService.saveTimedRecord(key, { score: state.score, moves: state.moves, timestamp });
+      } else if (timer.variant === 'speedrun' && !(previous?.time <= timer.elapsed)) {
+        StorageService.saveTimedRecord(key, { time: Math.round(timer.elapsed), splits: timer.splits.map(Math.round), timestamp });
+      }
+    }
+  };
+
+  // === Solver Service ===
+  const SolverService = {
+    /**
+     * One worker per kind of request: hint and par searches on 'search',
+     * level generation on 'generate', so a search never cancels a level being made
+     * @private
+     */
+    _channels: {
+      search: { worker: null, pending: null, failed: false },
+      generate: { worker: null, pending: null, failed: false }
+    },
+    /** @private */
+    _requestId: 0,
+
+    /**
+     * Searches for a clearing move sequence in the background worker.
+     * Starting a new search cancels the one still running.
+     * @param {Array<Array<number|null>>} board - Board to solve
+     * @param {Object} [options] - Solver options (see BulbSolver.solve)
+     * @returns {Promise<Object|null>} Solve result, or null if cancelled or unavailable
+     */
+    solve(board, options = {}) {
+      return this._request('search', { type: 'solve', board, options });
+    },
+
+    /**
+     * Searches for the shortest clearing sequence within budget, e.g. to set a level's par
+     * @param {Array<Array<number|null>>} board - Board to solve
+     * @param {Object} [options] - Solver options (see BulbSolver.solveShortest)
+     * @returns {Promise<Object|null>} Solve result, or null if cancelled or unavailable
+     */
+    solveShortest(board, options = {}) {
+      return this._request('search', { type: 'shortest', board, options });
+    },
+
+    /**
+     * Generates a proven-solvable quest level in its own background worker.
+     * Starting a new generation cancels the one still running; searches don't.
+     * Where workers can't run (a file:// page, a blocking content security
+     * policy) the level is generated on the main thread instead, since quest
+     * mode has no other way to get a board.
+     * @param {Object} options - Generator options (see BulbSolver.generate)
+     * @returns {Promise<Object|null>} Level, or null if cancelled or none found
+     */
+    generate(options) {
+      this.cancel('generate');
+      if (!this._getWorker('generate')) return this._generateLocally(options);
+      return this._request('generate', { type: 'generate', options });
+    },
+
+    /**
+     * Runs the generator on the main thread once the 'generating level...'
+     * message has been painted
+     * @private
+     * @param {Object} options - Generator options
+     * @returns {Promise<Object|null>} Level or null
+     */
+    _generateLocally(options) {
+      return new Promise(resolve => {
+        requestAnimationFrame(() => setTimeout(() => {
+          try {
+            resolve(BulbSolver.generate(options));
+          } catch (error) {
+            ErrorHandler.handle(error, 'SolverService._generateLocally');
+            resolve(null);
+          }
+        }, 0));
+      });
+    },
+
+    /**
+     * Posts a request to a channel's worker, cancelling the one still running there
+     * @private
+     * @param {string} name - Channel name: 'search' or 'generate'
+     * @param {Object} message - Request message
+     * @returns {Promise<Object|null>} Worker result or null
+     */
+    _request(name, message) {
+      this.cancel(name);
+      const channel = this._channels[name];
+      const worker = this._getWorker(name);
+      if (!worker) return Promise.resolve(null);
+
+      const id = ++this._requestId;
+      return new Promise(resolve => {
+        channel.pending = { id, resolve };
+        worker.postMessage({ id, ...message });
+      });
+    },
+
+    /**
+     * Cancels a running request; its worker is restarted on next use
+     * @param {string} [name='search'] - Channel name: 'search' or 'generate'
+     */
+    cancel(name = 'search') {
+      const channel = this._channels[name];
+      if (!channel.pending) return;
+      channel.pending.resolve(null);
+      channel.pending = null;
+      channel.worker?.terminate();
+      channel.worker = null;
+    },
+
+    /**
+     * Gets (lazily creating) a channel's solver worker
+     * @private
+     * @param {string} name - Channel name
+     * @returns {Worker|null} Worker or null if workers are unavailable or have failed
+     */
+    _getWorker(name) {
+      const channel = this._channels[name];
+      if (channel.worker) return channel.worker;
+      if (typeof Worker === 'undefined' || channel.failed) return null;
+
+      try {
+        channel.worker = new Worker('solver.js');
+        channel.worker.onmessage = ({ data }) => this._handleMessage(name, data);
+        channel.worker.onerror = event => {
+          ErrorHandler.handle(event.error ?? new Error(event.message), 'SolverService.worker');
+          channel.failed = true; // e.g. the script couldn't load; don't keep starting it
+          this.cancel(name);
+        };
+      } catch (error) {
+        ErrorHandler.handle(error, 'SolverService._getWorker');
+        channel.worker = null;
+      }
+      return channel.worker;
+    },
+
+    /**
+     * Resolves a channel's pending request with the worker's answer
+     * @private
+     */
+    _handleMessage(name, { id, result, error }) {
+      const channel = this._channels[name];
+      if (!channel.pending || channel.pending.id !== id) return;
+
+      const { resolve } = channel.pending;
+      channel.pending = null;
+      if (error) ErrorHandler.handle(new Error(error), 'SolverService.solve');
+      resolve(result ?? null);
+    }
+  };
+
+  // === Hint Service ===
+  const HintService = {
+    /**
+     * Latest solver result and the board it belongs to
+     * @private
+     */
+    _analysis: null,
+
+    /**
+     * Clears the shown hint and re-checks the new quest position in the background,
+     * warning the player when it can no longer be cleared
+     */
+    refresh() {
+      UIService.showHint(null);
+      if (!this.isAvailable()) {
+        SolverService.cancel();
+        return;
+      }
+
+      if (this._analysis?.key === this._getKey()) {
+        this._report(this._analysis.result);
+      } else {
+        this._analyze(HINT_AUTO_NODES);
+      }
+    },
+
+    /**
+     * Highlights the next recommended direction, searching harder if needed
+     */
+    async showHint() {
+      if (!this.isAvailable() || state.isGenerating) return;
+
+      let result = this._analysis?.key === this._getKey() ? this._analysis.result : null;
+      if (!result || result.status === 'unknown') {
+        UIService.showHint(null, 'thinking...');
+        result = await this._analyze(HINT_MAX_NODES);
+        if (!result) return; // board changed while searching
+      }
+
+      if (result.status === 'solved' && result.path.length > 0) {
+        UIService.showHint(result.path[0], `hint: ${DIRECTION_ARROWS[result.path[0]]}`);
+      } else if (result.status === 'unknown') {
+        UIService.showHint(null, 'no clear path found yet');
+      } else {
+        this._report(result);
+      }
+    },
+
+    /**
+     * Hints lead to a cleared board, so they help in quest games whose goal is clearing it
+     * @returns {boolean} Hints can be shown
+     */
+    isAvailable() {
+      return state.gameMode === 'quest' && (ObjectiveService.get()?.type ?? 'clear') === 'clear';
+    },
+
+    /**
+     * Seeds the analysis with a solution known in advance (e.g. from the generator)
+     * @param {Array<Array<number|null>>} board - Board the solution starts from
+     * @param {Array<string>} path - Solution
+     */
+    prime(board, path) {
+      this._analysis = {
+        key: JSON.stringify(board),
+        result: { status: 'solved', path: [...path], explored: 0 }
+      };
+    },
+
+    /**
+     * Keeps a known solution when the player follows it
+     * @param {string} direction - Direction just played
+     * @param {Array<Array<number|null>>} board - Board after the move
+     */
+    advance(direction, board) {
+      const result = this._analysis?.key === this._getKey() ? this._analysis.result : null;
+      if (result?.status === 'solved' && result.path[0] === direction) {
+        this._analysis = {
+          key: JSON.stringify(board),
+          result: { ...result, path: result.path.slice(1) }
+        };
+      }
+    },
+
+    /**
+     * Runs solver on current board and caches the answer
+     * @private
+     * @param {number} maxNodes - Search budget
+     * @returns {Promise<Object|null>} Result or null if superseded
+     */
+    async _analyze(maxNodes) {
+      const key = this._getKey();
+      const result = await SolverService.solve(state.grid, { maxNodes });
+      if (!result || key !== this._getKey()) return null;
+
+      this._analysis = { key, result };
+      this._report(result);
+      return result;
+    },
+
+    /**
+     * Tells the player about a dead position
+     * @private
+     */
+    _report(result) {
+      if (result.status === 'unsolvable') {
+        UIService.showHint(null, 'this board can no longer be cleared');
+      }
+    },
+
+    /**
+     * @private
+     * @returns {string} Key of the current board
+     */
+    _getKey() {
+      return JSON.stringify(state.grid);
+    }
+  };
+
+  // === History Service ===
+  const HistoryService = {
+    /**
+     * Starts a fresh undo tree rooted at the current position
+     */
+    reset() {
+      state.history = {
+        nodes: {
+          0: {
+            id: 0,
+            parentId: null,
+            childIds: [],
+            redoId: null, // child redo goes to: the one visited last
+            direction: null,
+            spawn: null,
+            delta: [],
+            scores: this.getScores(),
+            rng: state.rng ? { ...state.rng } : null,
+            spawnQueue: [...state.spawnQueue]
+          }
+        },
+        rootId: 0,
+        currentId: 0,
+        nextId: 1
+      };
+    },
+
+    /**
+     * Snapshots the counters of the current mode
+     * @returns {Object} Counter values by state key
+     */
+    getScores() {
+      const keys = state.gameMode === 'infinity' ?
+        ['moves', 'score'] :
+        ['levelMoves', 'totalMoves', 'levelScore', 'totalScore', 'levelPairs'];
+      return Object.fromEntries(keys.map(key => [key, state[key]]));
+    },
+
+    /**
+     * Adds a played move below the current node. Replaying a move that is
+     * already in the tree walks into the existing branch instead.
+     * @param {Array<Array<number|null>>} previousGrid - Grid before the move
+     * @param {Object} result - Move result from BulbEngine.move
+     * @returns {{node: Object, isNew: boolean}} Node now current, and whether it was just added
+     */
+    record(previousGrid, result) {
+      const history = state.history;
+      const parent = history.nodes[history.currentId];
+      const spawnEvent = result.events.find(event => event.type === 'spawn');
+      const spawn = spawnEvent ? [spawnEvent.row, spawnEvent.col, spawnEvent.value] : null;
+
+      let node = parent.childIds
+        .map(id => history.nodes[id])
+        .find(child => child.direction === result.direction &&
+                       JSON.stringify(child.spawn) === JSON.stringify(spawn));
+
+      const isNew = !node;
+      if (isNew) {
+        node = {
+          id: history.nextId++,
+          parentId: parent.id,
+          childIds: [],
+          redoId: null,
+          direction: result.direction,
+          spawn,
+          delta: this._diff(previousGrid, result.board),
+          scores: this.getScores(),
+          rng: state.rng ? { ...state.rng } : null,
+          spawnQueue: [...state.spawnQueue]
+        };
+        history.nodes[node.id] = node;
+        parent.childIds.push(node.id);
+      }
+
+      parent.redoId = node.id;
+      history.currentId = node.id;
+      this._prune();
+      return { node, isNew };
+    },
+
+    /**
+     * @returns {boolean} There is a move to undo
+     */
+    canUndo() {
+      const history = state.history;
+      return Boolean(history) && history.currentId !== history.rootId;
+    },
+
+    /**
+     * @returns {boolean} There is a move to redo
+     */
+    canRedo() {
+      const history = state.history;
+      return Boolean(history) && history.nodes[history.currentId].redoId !== null;
+    },
+
+    /**
+     * Steps back to the parent position
+     */
+    undo() {
+      if (!this.canUndo()) return;
+
+      const node = state.history.nodes[state.history.currentId];
+      this._applyDelta(node.delta, 2);
+      RecordingService.undoMove();
+      this._enter(state.history.nodes[node.parentId]);
+    },
+
+    /**
+     * Steps forward into a child position
+     * @param {number} [childId] - Child to enter; defaults to the one visited last
+     */
+    redo(childId) {
+      const current = state.history.nodes[state.history.currentId];
+      const id = childId ?? current.redoId;
+      if (!current.childIds.includes(id)) return;
+
+      const node = state.history.nodes[id];
+      this._applyDelta(node.delta, 3);
+      RecordingService.recordMove(node.direction, node.spawn);
+      current.redoId = id;
+      this._enter(node);
+    },
+
+    /**
+     * Walks the tree to any node: up to the common ancestor, then down
+     * @param {number} nodeId - Target node
+     */
+    jumpTo(nodeId) {
+      const { nodes } = state.history;
+      if (!nodes[nodeId]) return;
+
+      const path = this._getPath(nodeId);
+      while (!path.includes(state.history.currentId)) {
+        this.undo();
+      }
+      path.slice(path.indexOf(state.history.currentId) + 1).forEach(id => this.redo(id));
+    },
+
+    /**
+     * Finds the nearest fork at or above the current position, with the tip each branch leads to
+     * @returns {{node: Object, branches: Array<{node: Object, tipId: number, selected: boolean}>}|null} Fork or null
+     */
+    getFork() {
+      const history = state.history;
+      if (!history) return null;
+
+      const path = this._getPath(history.currentId);
+      for (let i = path.length - 1; i >= 0; i--) {
+        const node = history.nodes[path[i]];
+        if (node.childIds.length < 2) continue;
+
+        return {
+          node,
+          branches: node.childIds.map(id => ({
+            node: history.nodes[id],
+            tipId: this._getTip(id),
+            selected: path[i + 1] === id
+          }))
+        };
+      }
+      return null;
+    },
+
+    /**
+     * Lists node ids from the root down to a node
+     * @private
+     * @param {number} nodeId - Node
+     * @returns {Array<number>} Ids, root first
+     */
+    _getPath(nodeId) {
+      const { nodes } = state.history;
+      const path = [];
+      for (let id = nodeId; id !== null; id = nodes[id].parentId) {
+        path.unshift(id);
+      }
+      return path;
+    },
+
+    /**
+     * Follows last-visited children down to the end of a branch
+     * @private
+     * @param {number} nodeId - Node the branch starts at
+     * @returns {number} Deepest node id
+     */
+    _getTip(nodeId) {
+      const { nodes } = state.history;
+      let id = nodeId;
+      while (nodes[id].redoId !== null) id = nodes[id].redoId;
+      return id;
+    },
+
+    /**
+     * Makes a node current, restoring its counters, random stream and upcoming spawns
+     * @private
+     * @param {Object} node - Node to enter
+     */
+    _enter(node) {
+      state.history.currentId = node.id;
+      Object.assign(state, node.scores);
+      if (node.rng) state.rng = { ...node.rng };
+      if (node.spawnQueue) state.spawnQueue = [...node.spawnQueue];
+    },
+
+    /**
+     * Lists the cells a move changed
+     * @private
+     * @returns {Array<Array>} [row, col, before, after] per changed cell
+     */
+    _diff(before, after) {
+      const delta = [];
+      before.forEach((row, r) => row.forEach((value, c) => {
+        if (value !== after[r][c]) delta.push([r, c, value, after[r][c]]);
+      }));
+      return delta;
+    },
+
+    /**
+     * Writes one side of a delta into the grid
+     * @private
+     * @param {Array<Array>} delta - Changed cells
+     * @param {number} side - 2 for the values before the move, 3 for after
+     */
+    _applyDelta(delta, side) {
+      state.grid = GridService.cloneGrid(state.grid);
+      delta.forEach(change => {
+        state.grid[change[0]][change[1]] = change[side];
+      });
+    },
+
+    /**
+     * Keeps the tree within MAX_HISTORY_SIZE nodes by moving the root down
+     * towards the current position, dropping branches that split off above it
+     * @private
+     */
+    _prune() {
+      const history = state.history;
+      let count = Object.keys(history.nodes).length;
+
+      while (count > MAX_HISTORY_SIZE && history.rootId !== history.currentId) {
+        const path = this._getPath(history.currentId);
+        const root = history.nodes[history.rootId];
+        const newRoot = history.nodes[path[1]];
+
+        root.childIds.filter(id => id !== newRoot.id).forEach(id => {
+          count -= this._removeSubtree(id);
+        });
+        delete history.nodes[root.id];
+        count--;
+
+        Object.assign(newRoot, { parentId: null, direction: null, spawn: null, delta: [] });
+        history.rootId = newRoot.id;
+      }
+    },
+
+    /**
+     * Deletes a node and everything below it
+     * @private
+     * @returns {number} Nodes removed
+     */
+    _removeSubtree(nodeId) {
+      const node = state.history.nodes[nodeId];
+      delete state.history.nodes[nodeId];
+      return node.childIds.reduce((removed, id) => removed + this._removeSubtree(id), 1);
+    }
+  };
+
+  // === Session Service ===
+  const SessionService = {
+    /**
+     * Snapshots the live game so it survives a reload
+     */
+    save() {
+      if (state.isGenerating || state.grid.length === 0) return;
+
+      StorageService.saveCurrentGame({
+        version: SESSION_VERSION,
+        rows: state.rows,
+        cols: state.cols,
+        gameMode: state.gameMode,
+        grid: state.grid,
+        initialGrid: state.initialGrid,
+        history: state.history,
+        moves: state.moves,
+        score: state.score,
+        levelMoves: state.levelMoves,
+        totalMoves: state.totalMoves,
+        levelScore: state.levelScore,
+        totalScore: state.totalScore,
+        levelPairs: state.levelPairs,
+        par: state.par,
+        parBestKnown: state.parBestKnown,
+        levelDifficulty: state.levelDifficulty,
+        seed: state.seed,
+        rng: state.rng,
+        spawnQueue: state.spawnQueue,
+        daily: state.daily,
+        level: state.level,
+        timer: state.timer,
+        recording: state.recording
+      });
+    },
+
+    /**
+     * Restores the saved live game, if there is a valid one
+     * @returns {boolean} True if a game was resumed
+     */
+    resume() {
+      const snapshot = StorageService.loadCurrentGame();
+      if (!this._isValidSnapshot(snapshot)) {
+        StorageService.clearCurrentGame();
+        return false;
+      }
+
+      const { rows, cols } = this._getDimensions(snapshot);
+      const toCount = value => Number.isInteger(value) && value >= 0 ? value : 0;
+
+      Object.assign(state, {
+        rows,
+        cols,
+        selectedRows: rows,
+        selectedCols: cols,
+        gameMode: snapshot.gameMode,
+        grid: GridService.cloneGrid(snapshot.grid),
+        initialGrid: this._isValidGrid(snapshot.initialGrid, rows, cols) ?
+          GridService.cloneGrid(snapshot.initialGrid) : [],
+        history: this._isValidHistory(snapshot.history, rows, cols) ? snapshot.history : null,
+        moves: toCount(snapshot.moves),
+        score: toCount(snapshot.score),
+        levelMoves: toCount(snapshot.levelMoves),
+        totalMoves: toCount(snapshot.totalMoves),
+        levelScore: toCount(snapshot.levelScore),
+        levelPairs: toCount(snapshot.levelPairs),
+        totalScore: toCount(snapshot.totalScore),
+        par: Number.isInteger(snapshot.par) ? snapshot.par : null,
+        parBestKnown: Number.isInteger(snapshot.par) && snapshot.parBestKnown === true,
+        levelDifficulty: DIFFICULTIES.includes(snapshot.levelDifficulty) ? snapshot.levelDifficulty : null,
+        daily: snapshot.daily?.date ? {
+          previousRows: snapshot.daily.previousSize,
+          previousCols: snapshot.daily.previousSize,
+          ...snapshot.daily
+        } : null,
+        level: snapshot.level?.source && GridService.isValidSize(
+          snapshot.level.previousRows, snapshot.level.previousCols
+        ) ? snapshot.level : null,
+        recording: snapshot.recording?.grid ? snapshot.recording : null,
+        spawnQueue: this._isValidSpawnQueue(snapshot.spawnQueue) ? [...snapshot.spawnQueue] : [],
+        disappear: {},
+        isProcessing: false
+      });
+      TimerService.restore(snapshot.timer);
+      if (state.level?.objective) {
+        state.level.objective = ObjectiveService.restore(state.level.objective, rows, cols);
+      }
+
+      if (snapshot.rng && Number.isInteger(snapshot.rng.state)) {
+        state.seed = String(snapshot.rng.seed);
+        state.rng = { seed: state.seed, state: snapshot.rng.state >>> 0 };
+      } else {
+        RandomService.reseed(snapshot.seed);
+      }
+      if (!state.history) HistoryService.reset(); // undo starts over, the game itself is kept
+      if (elements.gameModeToggleBtn && !state.daily && !state.level) {
+        elements.gameModeToggleBtn.checked = state.gameMode === 'quest';
+      }
+
+      GameSetup.buildBoard(state.rows, state.cols);
+      UIService.render();
+      HintService.refresh();
+      this._restoreGameOver();
+      return true;
+    },
+
+    /**
+     * Shows the end popup again if the game was saved after it ended: a
+     * decided quest or puzzle, or a score game whose clock ran out. A finished
+     * speedrun ends on a cleared level, so its win popup comes back with it.
+     * @private
+     */
+    _restoreGameOver() {
+      if (state.timer?.variant === 'score' && TimerService.isOver()) {
+        TimerService.showTimeUp();
+        return;
+      }
+      GameLogic._showGameOutcome();
+    },
+
+    /**
+     * @private
+     * @returns {boolean} Snapshot can be resumed
+     */
+    _isValidSnapshot(snapshot) {
+      if (!snapshot || snapshot.version !== SESSION_VERSION) return false;
+
+      const { rows, cols } = this._getDimensions(snapshot);
+      return GridService.isValidSize(rows, cols) &&
+             ['infinity', 'quest'].includes(snapshot.gameMode) &&
+             this._isValidGrid(snapshot.grid, rows, cols);
+    },
+
+    /**
+     * Reads board dimensions; older snapshots stored a single square `size`
+     * @private
+     * @returns {{rows: number, cols: number}} Dimensions
+     */
+    _getDimensions(snapshot) {
+      return { rows: snapshot.rows ?? snapshot.size, cols: snapshot.cols ?? snapshot.size };
+    },
+
+    /**
+     * Checks that the undo tree is connected and its deltas fit the board
+     * @private
+     * @returns {boolean} Undo tree is valid
+     */
+    _isValidHistory(history, rows, cols) {
+      const nodes = history?.nodes;
+      if (!nodes || typeof nodes !== 'object' ||
+          !nodes[history.rootId] || !nodes[history.currentId] ||
+          !Number.isInteger(history.nextId)) {
+        return false;
+      }
+
+      const inBounds = (index, limit) => Number.isInteger(index) && index >= 0 && index < limit;
+      const counters = ['moves', 'score', 'levelMoves', 'totalMoves', 'levelScore', 'totalScore', 'levelPairs'];
+      return Object.values(nodes).every(node =>
+        Array.isArray(node.childIds) && node.childIds.every(id => nodes[id]?.parentId === node.id) &&
+        (node.id === history.rootId || nodes[node.parentId]?.childIds.includes(node.id)) &&
+        (node.redoId === null || node.childIds.includes(node.redoId)) &&
+        Array.isArray(node.delta) && node.delta.every(([row, col]) => inBounds(row, rows) && inBounds(col, cols)) &&
+        node.scores && typeof node.scores === 'object' &&
+        Object.entries(node.scores).every(([key, value]) => counters.includes(key) && Number.isInteger(value)) &&
+        (node.spawnQueue === undefined || this._isValidSpawnQueue(node.spawnQueue)));
+    },
+
+    /**
+     * @private
+     * @returns {boolean} Queue holds tile values only
+     */
+    _isValidSpawnQueue(queue) {
+      return Array.isArray(queue) && queue.every(value => Number.isInteger(value) && value >= 2);
+    },
+
+    /**
+     * Checks grid shape and that every cell is empty, a wall, a sink or a
+     * (possibly locked) power of two
+     * @private
+     * @returns {boolean} Grid is valid
+     */
+    _isValidGrid(grid, rows, cols) {
+      return Array.isArray(grid) && grid.length === rows &&
+             grid.every(row => Array.isArray(row) && row.length === cols &&
+               row.every(value => BulbEngine.Cell.isValid(value)));
+    }
+  };
+
+  // === Recording Service ===
+  const RecordingService = {
+    /**
+     * Starts recording the game from the current grid
+     */
+    start() {
+      state.recording = {
+        version: RECORDING_VERSION,
+        rows: state.rows,
+        cols: state.cols,
+        mode: state.gameMode,
+        seed: state.seed,
+        grid: GridService.cloneGrid(state.grid),
+        moves: '', // one MOVE_CODES letter per move
+        spawns: {} // move index -> [row, col, value] spawned before that move
+      };
+    },
+
+    /**
+     * Appends a move to the recording
+     * @param {string} direction - Direction of the move
+     * @param {Array<number>|null} spawn - [row, col, value] spawned before the move
+     */
+    recordMove(direction, spawn) {
+      const { recording } = state;
+      if (!recording) return;
+
+      if (spawn) {
+        recording.spawns[recording.moves.length] = [...spawn];
+      }
+      recording.moves += MOVE_CODES[direction];
+    },
+
+    /**
+     * Drops the last move, keeping the recording on the line actually played
+     */
+    undoMove() {
+      const { recording } = state;
+      if (!recording || recording.moves.length === 0) return;
+
+      recording.moves = recording.moves.slice(0, -1);
+      delete recording.spawns[recording.moves.length];
+    },
+
+    /**
+     * Gets a copy of the recording to store with game stats
+     * @returns {Object|null} Recording, or null if no move was made
+     */
+    getRecording() {
+      const { recording } = state;
+      return recording && recording.moves.length > 0 ? JSON.parse(JSON.stringify(recording)) : null;
+    },
+
+    /**
+     * Replays a recording through the engine into a list of frames
+     * @param {Object} recording - Recording to replay
+     * @returns {Array<{board: Array, moves: number, score: number}>} Frame per position
+     */
+    buildFrames(recording) {
+      const directions = Object.fromEntries(
+        Object.entries(MOVE_CODES).map(([direction, code]) => [code, direction])
+      );
+      const frames = [{ board: GridService.cloneGrid(recording.grid), moves: 0, score: 0 }];
+
+      [...recording.moves].forEach((code, index) => {
+        const previous = frames[frames.length - 1];
+        const spawn = recording.spawns[index];
+        const result = BulbEngine.move(previous.board, directions[code], {
+          spawn: spawn ? () => ({ row: spawn[0], col: spawn[1], value: spawn[2] }) : null
+        });
+        frames.push({
+          board: result.board,
+          moves: index + 1,
+          score: previous.score + result.scoreGain
+        });
+      });
+      return frames;
+    }
+  };
+
+  // === Replay Service ===
+  const ReplayService = {
+    /**
+     * Opens the replay viewer on the board for a saved game
+     * @param {Object} recording - Recording saved with the game stats
+     */
+    start(recording) {
+      const frames = RecordingService.buildFrames(recording);
+      AnimationService.cancelPlayback();
+      UIService.hideStatistics();
+
+      state.replay = { frames, index: 0, speed: REPLAY_SPEEDS[0], timer: null };
+      elements.gameContainer?.classList.add('replaying');
+      elements.replayControls?.classList.remove('hidden');
+      elements.replayStatus?.classList.remove('hidden');
+
+      GameSetup.buildBoard(recording.rows ?? recording.size, recording.cols ?? recording.size);
+      this.showFrame(0);
+    },
+
+    /**
+     * Closes the viewer and returns to the statistics screen
+     */
+    exit() {
+      if (!state.replay) return;
+      this.pause();
+      state.replay = null;
+      state.displayGrid = null;
+
+      elements.gameContainer?.classList.remove('replaying');
+      elements.replayControls?.classList.add('hidden');
+      elements.replayStatus?.classList.add('hidden');
+
+      GameSetup.buildBoard(state.rows, state.cols);
+      UIService.render();
+      UIService.showStatistics();
+    },
+
+    /**
+     * Shows a frame of the replay
+     * @param {number} index - Frame index
+     */
+    showFrame(index) {
+      const { replay } = state;
+      if (!replay) return;
+
+      replay.index = Math.max(0, Math.min(index, replay.frames.length - 1));
+      const frame = replay.frames[replay.index];
+      state.displayGrid = frame.board;
+      UIService.renderGrid();
+
+      if (elements.replayStatus) {
+        elements.replayStatus.textContent =
+          `move ${frame.moves}/${replay.frames.length - 1} / score: ${frame.score}`;
+      }
+    },
+
+    /**
+     * Steps forward or back, pausing playback
+     * @param {number} offset - Frames to move
+     */
+    step(offset) {
+      if (!state.replay) return;
+      this.pause();
+      this.showFrame(state.replay.index + offset);
+    },
+
+    /**
+     * Toggles playback; playing from the last frame starts over
+     */
+    togglePlay() {
+      const { replay } = state;
+      if (!replay) return;
+      if (replay.timer) {
+        this.pause();
+        return;
+      }
+
+      if (replay.index >= replay.frames.length - 1) this.showFrame(0);
+      this._scheduleNext();
+      if (elements.replayPlayBtn) elements.replayPlayBtn.textContent = 'pause';
+    },
+
+    /**
+     * Pauses playback
+     */
+    pause() {
+      const { replay } = state;
+      if (!replay) return;
+      clearTimeout(replay.timer);
+      replay.timer = null;
+      if (elements.replayPlayBtn) elements.replayPlayBtn.textContent = 'play';
+    },
+
+    /**
+     * Cycles playback speed
+     */
+    cycleSpeed() {
+      const { replay } = state;
+      if (!replay) return;
+      replay.speed = REPLAY_SPEEDS[(REPLAY_SPEEDS.indexOf(replay.speed) + 1) % REPLAY_SPEEDS.length];
+      if (elements.replaySpeedBtn) elements.replaySpeedBtn.textContent = `${replay.speed}x`;
+    },
+
+    /**
+     * Advances one frame after the current speed's delay
+     * @private
+     */
+    _scheduleNext() {
+      const { replay } = state;
+      replay.timer = setTimeout(() => {
+        this.showFrame(replay.index + 1);
+        if (replay.index >= replay.frames.length - 1) {
+          this.pause();
+        } else {
+          this._scheduleNext();
+        }
+      }, REPLAY_STEP_TIME / replay.speed);
+    }
+  };
+
+  // === Daily Service ===
+  const DailyService = {
+    /**
+     * Formats a date as a local YYYY-MM-DD key
+     * @param {Date} [date=new Date()] - Date to format
+     * @returns {string} Date key
+     */
+    getDateKey(date = new Date()) {
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      const day = String(date.getDate()).padStart(2, '0');
+      return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Gets the date key a number of days away from another
+     * @param {string} dateKey - Starting date key
+     * @param {number} offset - Days to add (negative to go back)
+     * @returns {string} Shifted date key
+     */
+    shiftDateKey(dateKey, offset) {
+      const [year, month, day] = dateKey.split('-').map(Number);
+      return this.getDateKey(new Date(year, month - 1, day + offset));
+    },
+
+    /**
+     * Starts today's daily challenge: a quest board seeded by the date,
+     * so every player gets the same layout
+     */
+    start() {
+      GameLogic._saveCurrentGameStats(); // Save current game before leaving it
+      LevelService.leave();
+      const date = this.getDateKey();
+
+      if (!state.daily) {
+        state.daily = {
+          date,
+          previousRows: state.rows,
+          previousCols: state.cols,
+          previousMode: state.gameMode
+        };
+      }
+      Object.assign(state.daily, { date });
+      Object.assign(state, {
+        rows: DAILY_SIZE,
+        cols: DAILY_SIZE,
+        selectedRows: DAILY_SIZE,
+        selectedCols: DAILY_SIZE,
+        gameMode: 'quest',
+        moves: 0,
+        score: 0,
+        levelMoves: 0,
+        totalMoves: 0,
+        levelScore: 0,
+        levelPairs: 0,
+        totalScore: 0
+      });
+
+      RandomService.reseed(`daily-${date}`);
+      UIService.hideGameOverPopup();
+      UIService.hideQuestWinPopup();
+      TimerService.reset();
+      GameSetup.createGrid();
+    },
+
+    /**
+     * Leaves the daily challenge, restoring the player's size and mode
+     */
+    leave() {
+      if (!state.daily) return;
+      state.rows = state.selectedRows = state.daily.previousRows;
+      state.cols = state.selectedCols = state.daily.previousCols;
+      state.gameMode = state.daily.previousMode;
+      state.daily = null;
+    },
+
+    /**
+     * Records the daily result, keeping only the best one per day
+     * @param {boolean} solved - Whether the board was cleared
+     */
+    recordResult(solved) {
+      if (!state.daily) return;
+
+      const result = {
+        date: state.daily.date,
+        rows: state.rows,
+        cols: state.cols,
+        moves: state.levelMoves,
+        score: state.levelScore,
+        solved
+      };
+      const previous = StorageService.loadDailyResults()[result.date];
+      if (!previous || this._isBetterResult(result, previous)) {
+        StorageService.saveDailyResult(result);
+      }
+    },
+
+    /**
+     * Compares two results of the same day: solved first, then fewer moves, then score
+     * @private
+     * @returns {boolean} True if candidate beats previous
+     */
+    _isBetterResult(candidate, previous) {
+      if (candidate.solved !== previous.solved) return candidate.solved;
+      if (candidate.moves !== previous.moves) return candidate.solved ?
+        candidate.moves < previous.moves : candidate.moves > previous.moves;
+      return candidate.score > previous.score;
+    },
+
+    /**
+     * Calculates solved-day streaks. The current streak still counts
+     * if today has not been solved yet but yesterday was.
+     * @param {Object<string, Object>} dailyResults - Results keyed by date
+     * @returns {{current: number, best: number}} Streak lengths in days
+     */
+    getStreaks(dailyResults) {
+      const isSolved = date => Boolean(dailyResults[date]?.solved);
+
+      let current = 0;
+      let date = this.getDateKey();
+      if (!isSolved(date)) date = this.shiftDateKey(date, -1);
+      while (isSolved(date)) {
+        current++;
+        date = this.shiftDateKey(date, -1);
+      }
+
+      let best = 0;
+      let run = 0;
+      let previousDate = null;
+      Object.keys(dailyResults).filter(isSolved).sort().forEach(solvedDate => {
+        run = previousDate && this.shiftDateKey(previousDate, 1) === solvedDate ? run + 1 : 1;
+        best = Math.max(best, run);
+        previousDate = solvedDate;
+      });
+
+      return { current, best };
+    }
+  };
+
+  // === Level Service ===
+  const LevelService = {
+    /**
+     * Encodes a level as a short text code: `ROWSxCOLS:CELLS[:PAR]`, where each
+     * tile is a letter (a = 2, b = 4, c = 8, ...; upper case when locked),
+     * `#` is a wall, `*` a sink and digits count empty cells
+     * @param {{rows: number, cols: number, grid: Array, par: (number|null)}} level - Level
+     * @returns {string} Level code, e.g. '4x4:3c5a6:4'
+     */
+    encode({ rows, cols, grid, par }) {
+      let cells = '';
+      let emptyRun = 0;
+      grid.flat().forEach(value => {
+        if (value === null) {
+          emptyRun++;
+          return;
+        }
+        if (emptyRun > 0) cells += emptyRun;
+        emptyRun = 0;
+        if (BulbEngine.Cell.isTile(value)) {
+          const letter = LEVEL_CODE_LETTERS[Math.log2(BulbEngine.Cell.getValue(value)) - 1];
+          cells += BulbEngine.Cell.isLocked(value) ? letter.toUpperCase() : letter;
+        } else {
+          cells += Object.keys(LEVEL_CODE_SPECIALS).find(symbol => LEVEL_CODE_SPECIALS[symbol] === value);
+        }
+      });
+      if (emptyRun > 0) cells += emptyRun;
+
+      const code = `${GridService.formatSize(rows, cols)}:${cells}`;
+      return Number.isInteger(par) ? `${code}:${par}` : code;
+    },
+
+    /**
+     * Decodes a level code made by encode()
+     * @param {string} code - Level code
+     * @returns {Object} Level
+     * @throws {Error} If the code is malformed
+     */
+    decode(code) {
+      const match = /^(\d+x\d+):([a-z0-9#*]*)(?::(\d+))?$/i.exec(String(code ?? '').trim());
+      const size = match && GridService.parseSize(match[1]);
+      if (!size) throw new Error('not a level code');
+
+      const values = [];
+      (match[2].match(/\d+|[a-z#*]/gi) ?? []).forEach(token => {
+        if (/\d/.test(token)) {
+          const emptyRun = parseInt(token, 10);
+          if (values.length + emptyRun > size.rows * size.cols) {
+            throw new Error('level code does not fit the board');
+          }
+          values.push(...Array(emptyRun).fill(null));
+        } else if (token in LEVEL_CODE_SPECIALS) {
+          values.push(LEVEL_CODE_SPECIALS[token]);
+        } else {
+          const value = 2 ** (LEVEL_CODE_LETTERS.indexOf(token.toLowerCase()) + 1);
+          values.push(token === token.toUpperCase() ? BulbEngine.Cell.lock(value) : value);
+        }
+      });
+      if (values.length !== size.rows * size.cols) throw new Error('level code does not fill the board');
+
+      const grid = Array.from({ length: size.rows },
+        (_, r) => values.slice(r * size.cols, (r + 1) * size.cols));
+      return this.fromJSON({ ...size, grid, par: match[3] ? parseInt(match[3], 10) : null });
+    },
+
+    /**
+     * Serializes a level for a .json file
+     * @param {Object} level - Level
+     * @returns {Object} Plain JSON data
+     */
+    toJSON({ rows, cols, grid, par }) {
+      return { version: LEVEL_VERSION, rows, cols, grid, par: Number.isInteger(par) ? par : null };
+    },
+
+    /**
+     * Reads a level from JSON data, checking its shape and tile values
+     * @param {Object} data - Level JSON
+     * @returns {Object} Level
+     * @throws {Error} If the data is not a valid level
+     */
+    fromJSON(data) {
+      const rows = data?.rows ?? data?.grid?.length;
+      const cols = data?.cols ?? data?.grid?.[0]?.length;
+      if (!GridService.isValidSize(rows, cols)) throw new Error('unsupported board size');
+      if (!SessionService._isValidGrid(data.grid, rows, cols)) {
+        throw new Error('cells must be empty, walls, sinks or powers of two');
+      }
+      if (data.grid.some(row => row.some(value => BulbEngine.Cell.getValue(value) === 1))) {
+        throw new Error('tiles must be at least 2');
+      }
+
+      return {
+        rows,
+        cols,
+        grid: GridService.cloneGrid(data.grid),
+        par: Number.isInteger(data.par) && data.par > 0 ? data.par : null
+      };
+    },
+
+    /**
+     * Checks that a level can be played at all
+     * @param {Object} level - Level
+     * @returns {string|null} What is wrong with it, or null if it is playable
+     */
+    getProblem({ grid }) {
+      if (BulbEngine.Board.isCleared(grid)) return 'place at least one tile';
+      if (!BulbEngine.Rules.hasAvailableMove(grid)) return 'no tile can move';
+      return null;
+    },
+
+    /**
+     * Starts a game, quest unless asked otherwise, on a hand-made level. Like the daily board, it
+     * temporarily overrides the player's size and mode.
+     * @param {Object} level - Level to play
+     * @param {Object} origin - Where the level comes from: { source: 'editor' },
+     *   { source: 'script' } or { source: 'pack', packId, index, objective }
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.keepTotals=false] - Carry the total moves/score streak over
+     * @param {string} [options.mode='quest'] - Mode to play the level in
+     */
+    play(level, origin, { keepTotals = false, mode = 'quest' } = {}) {
+      GameLogic._saveCurrentGameStats(); // Save current game before leaving it
+      if (state.daily) DailyService.leave();
+
+      // Switching between hand-made levels keeps the settings saved on the first one
+      const { previousRows, previousCols, previousMode } = state.level ?? {
+        previousRows: state.rows,
+        previousCols: state.cols,
+        previousMode: state.gameMode
+      };
+      state.level = { previousRows, previousCols, previousMode, ...origin };
+      Object.assign(state, {
+        rows: level.rows,
+        cols: level.cols,
+        selectedRows: level.rows,
+        selectedCols: level.cols,
+        gameMode: mode,
+        moves: 0,
+        score: 0,
+        levelMoves: 0,
+        levelScore: 0,
+        levelPairs: 0,
+        ...(!keepTotals && { totalMoves: 0, totalScore: 0 })
+      });
+
+      RandomService.reseed();
+      UIService.hideGameOverPopup();
+      UIService.hideQuestWinPopup();
+      TimerService.reset();
+      GameSetup.loadLevel(level.grid, level.par, level.parBestKnown);
+    },
+
+    /**
+     * Names the active hand-made level for game stats
+     * @returns {string|null} 'editor', 'script', '<pack id>#<level number>' or null
+     */
+    getId() {
+      if (!state.level) return null;
+      return state.level.source === 'pack' ?
+        `${state.level.packId}#${state.level.index + 1}` :
+        state.level.source;
+    },
+
+    /**
+     * Leaves the hand-made level, restoring the player's size and mode
+     */
+    leave() {
+      if (!state.level) return;
+      state.rows = state.selectedRows = state.level.previousRows;
+      state.cols = state.selectedCols = state.level.previousCols;
+      state.gameMode = state.level.previousMode;
+      state.level = null;
+    }
+  };
+
+  // === Objective Service ===
+  const ObjectiveService = {
+    /**
+     * Objective types. An objective is plain data, `{ type, moves, ...params }`:
+     * its type checks the params and measures progress from the board and the
+     * level counters, so a new kind of challenge is a new entry here, not an engine rule.
+     * @private
+     */
+    _types: {
+      clear: {
+        parse: () => ({}),
+        describe: () => 'clear the board',
+        measure(objective, { grid }) {
+          const tiles = grid.flat().filter(BulbEngine.Cell.isTile).length;
+          return { done: tiles === 0, text: `tiles left: ${tiles}` };
+        }
+      },
+      vanish: {
+        parse({ pairs }) {
+          if (!Number.isInteger(pairs) || pairs < 1) throw new Error('vanish objective needs a number of pairs');
+          return { pairs };
+        },
+        describe: ({ pairs }) => `vanish ${pairs} pairs`,
+        measure({ pairs }, { levelPairs }) {
+          return { done: levelPairs >= pairs, text: `pairs: ${Math.min(levelPairs, pairs)} / ${pairs}` };
+        }
+      },
+      cells: {
+        parse({ cells }, rows, cols) {
+          const list = typeof cells === 'string' ? OBJECTIVE_CELL_SETS[cells]?.(rows, cols) : cells;
+          const isValid = Array.isArray(list) && list.length > 0 && list.every(cell =>
+            Array.isArray(cell) && Number.isInteger(cell[0]) && Number.isInteger(cell[1]) &&
+            cell[0] >= 0 && cell[0] < rows && cell[1] >= 0 && cell[1] < cols);
+          if (!isValid) throw new Error('cells objective needs a cell set or a list of [row, col] cells');
+          return { cells };
+        },
+        describe: ({ cells }) => typeof cells === 'string' ? `leave only the ${cells}` : 'leave tiles only on the marked cells',
+        measure(objective, { grid }) {
+          const targets = ObjectiveService.getTargetCells(objective, grid.length, grid[0].length);
+          let covered = 0;
+          let elsewhere = 0;
+          grid.forEach((row, r) => row.forEach((value, c) => {
+            if (!BulbEngine.Cell.isTile(value)) return;
+            if (targets.has(`${r},${c}`)) {
+              covered++;
+            } else {
+              elsewhere++;
+            }
+          }));
+          return {
+            done: covered === targets.size && elsewhere === 0,
+            text: `on target: ${covered} / ${targets.size}, elsewhere: ${elsewhere}`
+          };
+        }
+      }
+    },
+
+    /**
+     * Reads an objective definition, e.g. { type: 'clear', moves: 12 },
+     * { type: 'vanish', pairs: 6, moves: 10 } or { type: 'cells', cells: 'corners', moves: 8 }.
+     * Cells are a name from OBJECTIVE_CELL_SETS or a list of [row, col] pairs.
+     * @param {Object} data - Objective definition
+     * @param {number} rows - Row count of the level
+     * @param {number} cols - Column count of the level
+     * @returns {Object} Objective
+     * @throws {Error} If the type is unknown or a param is invalid
+     */
+    parse(data, rows, cols) {
+      const type = this._types[data?.type];
+      if (!type) throw new Error(`unknown objective "${data?.type}"`);
+      if (!Number.isInteger(data.moves) || data.moves < 1) throw new Error('objective needs a move budget');
+      return { type: data.type, moves: data.moves, ...type.parse(data, rows, cols) };
+    },
+
+    /**
+     * Re-reads an objective from a saved session
+     * @param {*} data - Saved objective
+     * @param {number} rows - Row count
+     * @param {number} cols - Column count
+     * @returns {Object|null} Objective, or null if it no longer parses
+     */
+    restore(data, rows, cols) {
+      try {
+        return this.parse(data, rows, cols);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * @returns {Object|null} Objective of the level being played
+     */
+    get() {
+      return state.level?.objective ?? null;
+    },
+
+    /**
+     * @param {Object} objective - Objective
+     * @returns {string} Goal in words, e.g. 'vanish 6 pairs in 10 moves'
+     */
+    describe(objective) {
+      return `${this._types[objective.type].describe(objective)} in ${objective.moves} moves`;
+    },
+
+    /**
+     * Measures the current level against its objective
+     * @returns {Object|null} { type, goal, done, text, movesLeft }, or null without an objective
+     */
+    getProgress() {
+      const objective = this.get();
+      if (!objective) return null;
+
+      const { done, text } = this._types[objective.type].measure(objective, state);
+      return {
+        type: objective.type,
+        goal: this.describe(objective),
+        done,
+        text,
+        movesLeft: Math.max(objective.moves - state.levelMoves, 0)
+      };
+    },
+
+    /**
+     * Once the objective is met or the budget is spent no move may follow, even
+     * before the win or lose popup shows up at the end of the move's animation
+     * @returns {boolean} The level's outcome is decided
+     */
+    isDecided() {
+      const progress = this.getProgress();
+      return Boolean(progress) && (progress.done || progress.movesLeft <= 0);
+    },
+
+    /**
+     * @param {Object} objective - 'cells' objective
+     * @param {number} rows - Row count
+     * @param {number} cols - Column count
+     * @returns {Set<string>} Target cells as 'row,col' keys
+     */
+    getTargetCells(objective, rows, cols) {
+      const cells = typeof objective.cells === 'string' ?
+        OBJECTIVE_CELL_SETS[objective.cells](rows, cols) :
+        objective.cells;
+      return new Set(cells.map(([r, c]) => `${r},${c}`));
+    },
+
+    /**
+     * Shows the goal, live progress and moves left in the score display, and marks target cells
+     */
+    render() {
+      const progress = this.getProgress();
+      elements.objectiveDisplay?.classList.toggle('hidden', !progress);
+
+      const objective = this.get();
+      const targets = objective?.type === 'cells' ? this.getTargetCells(objective, state.rows, state.cols) : null;
+      for (let r = 0; r < state.rows; r++) {
+        for (let c = 0; c < state.cols; c++) {
+          document.getElementById(`cell-${r}-${c}`)?.classList.toggle('objective-target', Boolean(targets?.has(`${r},${c}`)));
+        }
+      }
+
+      if (!progress) return;
+      if (elements.objectiveGoal) elements.objectiveGoal.textContent = progress.goal;
+      if (elements.objectiveProgress) elements.objectiveProgress.textContent = progress.text;
+      if (elements.objectiveMovesLeft) elements.objectiveMovesLeft.textContent = progress.movesLeft;
+      elements.objectiveDisplay?.classList.toggle('low', !progress.done && progress.movesLeft <= 2);
+    }
+  };
+
+  // === Editor Service ===
+  const EditorService = {
+    /**
+     * Opens the level editor, keeping the draft from the last visit
+     */
+    open() {
+      if (!state.editor) {
+        state.editor = {
+          rows: state.rows,
+          cols: state.cols,
+          grid: GridService.createEmptyGrid(state.rows, state.cols),
+          value: 2 ** EDITOR_TILE_EXPONENTS.MIN, // tile placed by a click; null erases
+          par: null
+        };
+      }
+
+      elements.gameContainer?.classList.add('hidden');
+      elements.settingsContainer?.classList.add('hidden');
+      elements.editorContainer?.classList.remove('hidden');
+      state.isOverlayActive = true;
+
+      if (elements.editorRowsInput) elements.editorRowsInput.value = state.editor.rows;
+      if (elements.editorColsInput) elements.editorColsInput.value = state.editor.cols;
+      this._renderPalette();
+      this.render();
+      this.setStatus('');
+    },
+
+    /**
+     * Closes the editor and goes back to the game
+     */
+    close() {
+      SolverService.cancel();
+      elements.editorContainer?.classList.add('hidden');
+      elements.gameContainer?.classList.remove('hidden');
+      state.isOverlayActive = false;
+      HintService.refresh(); // the editor may have interrupted the background check
+    },
+
+    /**
+     * Resizes the draft, keeping the tiles that still fit
+     * @param {number} rows - Row count
+     * @param {number} cols - Column count
+     */
+    resize(rows, cols) {
+      if (!GridService.isValidSize(rows, cols)) return;
+
+      const grid = GridService.createEmptyGrid(rows, cols);
+      state.editor.grid.forEach((row, r) => row.forEach((value, c) => {
+        if (r < rows && c < cols) grid[r][c] = value;
+      }));
+      Object.assign(state.editor, { rows, cols, grid });
+      this._changed();
+    },
+
+    /**
+     * Places the selected tile, wall or sink on a cell, or empties it if it
+     * already holds that; the lock tool locks or unlocks the tile there
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    toggleCell(row, col) {
+      const { grid, value } = state.editor;
+      const cell = grid[row][col];
+      if (value === EDITOR_LOCK_TOOL) {
+        if (!BulbEngine.Cell.isTile(cell)) return;
+        grid[row][col] = -cell;
+      } else {
+        grid[row][col] = cell === value ? null : value;
+      }
+      this._changed();
+    },
+
+    /**
+     * Selects what clicks place
+     * @param {number|string|null} value - Tile value, WALL, SINK, the lock tool, or null for the eraser
+     */
+    selectValue(value) {
+      state.editor.value = value;
+      this._renderPalette();
+    },
+
+    /**
+     * Empties the draft
+     */
+    clear() {
+      state.editor.grid = GridService.createEmptyGrid(state.editor.rows, state.editor.cols);
+      this._changed();
+    },
+
+    /**
+     * Checks that the draft is playable and searches for its par
+     * @returns {Promise<boolean>} False if the level can't or provably won't clear
+     */
+    async validate() {
+      const level = this.getLevel();
+      const problem = LevelService.getProblem(level);
+      if (problem) {
+        this.setStatus(problem);
+        return false;
+      }
+
+      this.setStatus('checking...');
+      const result = await SolverService.solveShortest(level.grid, { maxNodes: HINT_MAX_NODES });
+      if (!state.editor || !BulbEngine.Board.areIdentical(level.grid, state.editor.grid)) {
+        return false; // edited while checking
+      }
+
+      if (result?.status === 'solved') {
+        state.editor.par = result.path.length;
+        this.setStatus(`clears in ${state.editor.par} moves (par${result.optimal ? '' : ', maybe fewer'})`);
+        return true;
+      }
+      if (result?.status === 'unsolvable') {
+        this.setStatus('this board can never be cleared');
+        return false;
+      }
+      this.setStatus('no solution found yet; it may still be clearable');
+      return true;
+    },
+
+    /**
+     * Validates the draft and, if playable, test-plays it in quest mode
+     */
+    async testPlay() {
+      try {
+        if (!(await this.validate())) return;
+
+        this.close();
+        LevelService.play(this.getLevel(), { source: 'editor' });
+      } catch (error) {
+        ErrorHandler.handle(error, 'EditorService.testPlay');
+      }
+    },
+
+    /**
+     * Gets the draft as a level
+     * @returns {Object} Level ({ rows, cols, grid, par })
+     */
+    getLevel() {
+      const { rows, cols, grid, par } = state.editor;
+      return { rows, cols, grid: GridService.cloneGrid(grid), par };
+    },
+
+    /**
+     * Loads a level into the draft
+     * @param {Object} level - Level to edit
+     */
+    setLevel(level) {
+      Object.assign(state.editor, {
+        rows: level.rows,
+        cols: level.cols,
+        grid: GridService.cloneGrid(level.grid),
+        par: level.par // kept until the next edit
+      });
+      if (elements.editorRowsInput) elements.editorRowsInput.value = level.rows;
+      if (elements.editorColsInput) elements.editorColsInput.value = level.cols;
+      this.render();
+    },
+
+    /**
+     * Writes the draft's level code into the code field
+     */
+    exportCode() {
+      if (elements.levelCodeInput) {
+        elements.levelCodeInput.value = LevelService.encode(this.getLevel());
+        elements.levelCodeInput.select();
+      }
+      this.setStatus('level code ready to copy');
+    },
+
+    /**
+     * Loads the level code typed into the code field
+     */
+    importCode() {
+      try {
+        this.setLevel(LevelService.decode(elements.levelCodeInput?.value));
+        this.setStatus('level loaded');
+      } catch (error) {
+        this.setStatus(error.message);
+      }
+    },
+
+    /**
+     * Downloads the draft as a .json file
+     */
+    exportFile() {
+      const level = this.getLevel();
+      UIService.downloadFile(`bulb-level-${GridService.formatSize(level.rows, level.cols)}.json`,
+        JSON.stringify(LevelService.toJSON(level), null, 2), 'application/json');
+    },
+
+    /**
+     * Loads a level from a .json file
+     * @param {File} file - Chosen file
+     */
+    async importFile(file) {
+      if (!file) return;
+      try {
+        this.setLevel(LevelService.fromJSON(JSON.parse(await file.text())));
+        this.setStatus('level loaded');
+      } catch (error) {
+        this.setStatus(error instanceof SyntaxError ? 'not a JSON file' : error.message);
+      }
+    },
+
+    /**
+     * Shows a message under the editor board
+     * @param {string} message - Message
+     */
+    setStatus(message) {
+      if (elements.editorStatus) elements.editorStatus.textContent = message;
+    },
+
+    /**
+     * Rebuilds the editor board from the draft
+     */
+    render() {
+      const board = elements.editorBoard;
+      if (!board) return;
+
+      const { rows, cols, grid } = state.editor;
+      board.innerHTML = '';
+      board.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+      board.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
+      board.style.setProperty('--rows', rows);
+      board.style.setProperty('--cols', cols);
+      board.style.setProperty('--span', Math.max(rows, cols));
+
+      grid.forEach((row, r) => row.forEach((value, c) => {
+        const cell = this._createTile(value);
+        cell.addEventListener('click', ErrorHandler.wrap(() => this.toggleCell(r, c), 'editor.cell'));
+        board.appendChild(cell);
+      }));
+    },
+
+    /**
+     * Forgets the par once the draft changes and redraws it
+     * @private
+     */
+    _changed() {
+      state.editor.par = null;
+      this.render();
+      this.setStatus('');
+    },
+
+    /**
+     * Rebuilds the row of tiles to pick from
+     * @private
+     */
+    _renderPalette() {
+      const palette = elements.editorPalette;
+      if (!palette) return;
+
+      palette.innerHTML = '';
+      const { WALL, SINK } = BulbEngine.Cell;
+      const values = [null, WALL, SINK, EDITOR_LOCK_TOOL];
+      for (let exponent = EDITOR_TILE_EXPONENTS.MIN; exponent <= EDITOR_TILE_EXPONENTS.MAX; exponent++) {
+        values.push(2 ** exponent);
+      }
+      const titles = { [WALL]: 'wall', [SINK]: 'sink', [EDITOR_LOCK_TOOL]: 'lock / unlock tile' };
+      values.forEach(value => {
+        const tile = this._createTile(value === EDITOR_LOCK_TOOL ? null : value);
+        if (value === EDITOR_LOCK_TOOL) tile.dataset.cell = 'locked';
+        tile.classList.toggle('selected', value === state.editor.value);
+        tile.title = value === null ? 'eraser' : titles[value] ?? String(value);
+        tile.addEventListener('click', ErrorHandler.wrap(() => this.selectValue(value), 'editor.palette'));
+        palette.appendChild(tile);
+      });
+    },
+
+    /**
+     * Creates a tile element drawn like a board cell
+     * @private
+     * @returns {HTMLElement} Tile
+     */
+    _createTile(value) {
+      const tile = document.createElement('div');
+      tile.className = 'cell';
+      UIService.paintCell(tile, value);
+      return tile;
+    }
+  };
+
+  // === Pack Service ===
+  const PackService = {
+    /**
+     * Loaded packs: built-in ones first, then imported ones
+     * @private
+     */
+    _packs: null,
+    /**
+     * A built-in pack failed to load, so the next load fetches them again
+     * @private
+     */
+    _isIncomplete: false,
+    /** @private */
+    _selectedId: null,
+
+    /**
+     * Loads the built-in and imported packs once, or again while a built-in one is missing
+     * @returns {Promise<Array<Object>>} Packs ({ id, name, levels, builtIn })
+     */
+    async load() {
+      if (this._packs && !this._isIncomplete) return this._packs;
+
+      const builtIn = await Promise.all(BUILT_IN_PACKS.map(async url => {
+        try {
+          const response = await fetch(url);
+          if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+          return { ...this.parse(await response.json()), builtIn: true };
+        } catch (error) {
+          ErrorHandler.handle(error, 'PackService.load');
+          return null;
+        }
+      }));
+      const imported = StorageService.loadLevelPacks().map(data => {
+        try {
+          return this.parse(data);
+        } catch (error) {
+          return null; // skip packs that no longer parse
+        }
+      });
+
+      this._isIncomplete = builtIn.includes(null);
+      this._packs = [...builtIn, ...imported].filter(Boolean);
+      return this._packs;
+    },
+
+    /**
+     * Reads a level pack. Levels are given as level codes or as level JSON,
+     * and each one needs a par: the proven minimum, or with `"bestKnown": true`
+     * the shortest solution found so far. A level may also carry an objective
+     * with a move budget (see ObjectiveService.parse).
+     * @param {Object} data - Pack JSON ({ version, id, name, levels })
+     * @returns {Object} Pack ({ id, name, levels })
+     * @throws {Error} If the pack or one of its levels is invalid
+     */
+    parse(data) {
+      if (!data || typeof data.id !== 'string' || !data.id.trim()) throw new Error('pack needs an id');
+      if (!Array.isArray(data.levels) || data.levels.length === 0) throw new Error('pack has no levels');
+
+      const levels = data.levels.map((entry, index) => {
+        const level = typeof entry.code === 'string' ?
+          LevelService.decode(entry.code) :
+          LevelService.fromJSON(entry);
+        if (level.par === null) throw new Error(`level ${index + 1} has no par`);
+        let objective = null;
+        if (entry.objective !== undefined) {
+          try {
+            objective = ObjectiveService.parse(entry.objective, level.rows, level.cols);
+          } catch (error) {
+            throw new Error(`level ${index + 1}: ${error.message}`);
+          }
+        }
+        return {
+          ...level,
+          name: String(entry.name ?? `level ${index + 1}`),
+          parBestKnown: entry.bestKnown === true,
+          objective
+        };
+      });
+      return { id: data.id.trim(), name: String(data.name ?? data.id), levels };
+    },
+
+    /**
+     * Imports a pack from a .json file, replacing an imported pack with the same id
+     * @param {File} file - Chosen file
+     */
+    async importFile(file) {
+      if (!file) return;
+      try {
+        const data = JSON.parse(await file.text());
+        const pack = this.parse(data);
+        const packs = await this.load();
+        if (packs.some(existing => existing.builtIn && existing.id === pack.id)) {
+          throw new Error('a built-in pack already uses this id');
+        }
+
+        const stored = StorageService.loadLevelPacks().filter(existing => existing?.id?.trim() !== pack.id);
+        StorageService.saveLevelPacks([...stored, data]);
+        this._packs = [...packs.filter(existing => existing.id !== pack.id), pack];
+        this._selectedId = pack.id;
+        this.render();
+        this._setStatus(`imported "${pack.name}"`);
+      } catch (error) {
+        this._setStatus(error instanceof SyntaxError ? 'not a JSON file' : error.message);
+      }
+    },
+
+    /**
+     * Opens the level-select screen
+     */
+    async open() {
+      elements.gameContainer?.classList.add('hidden');
+      elements.settingsContainer?.classList.add('hidden');
+      elements.packsContainer?.classList.remove('hidden');
+      state.isOverlayActive = true;
+      this._setStatus('');
+
+      try {
+        const packs = await this.load();
+        if (!packs.some(pack => pack.id === this._selectedId)) {
+          this._selectedId = state.level?.packId ?? packs[0]?.id ?? null;
+        }
+        this.render();
+      } catch (error) {
+        ErrorHandler.handle(error, 'PackService.open');
+      }
+    },
+
+    /**
+     * Closes the level-select screen and goes back to the game
+     */
+    close() {
+      elements.packsContainer?.classList.add('hidden');
+      elements.gameContainer?.classList.remove('hidden');
+      state.isOverlayActive = false;
+    },
+
+    /**
+     * Starts a pack level
+     * @param {string} packId - Pack id
+     * @param {number} index - Level index
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.keepTotals=false] - Carry the total moves/score streak over
+     */
+    async play(packId, index, { keepTotals = false } = {}) {
+      try {
+        const pack = (await this.load()).find(candidate => candidate.id === packId);
+        const level = pack?.levels[index];
+        if (!level || !this.isUnlocked(packId, index)) return;
+
+        this.close();
+        LevelService.play(level, { source: 'pack', packId, index, objective: level.objective }, { keepTotals });
+      } catch (error) {
+        ErrorHandler.handle(error, 'PackService.play');
+      }
+    },
+
+    /**
+     * Moves on after a cleared pack level: the next level, keeping the
+     * total moves/score streak, or the level select after the last one
+     */
+    async playNext() {
+      try {
+        const { packId, index } = state.level;
+        const pack = (await this.load()).find(candidate => candidate.id === packId);
+
+        if (pack && index + 1 < pack.levels.length) {
+          await this.play(packId, index + 1, { keepTotals: true });
+          return;
+        }
+        LevelService.leave();
+        RandomService.reseed();
+        Object.assign(state, { totalMoves: 0, totalScore: 0 });
+        TimerService.reset();
+        GameSetup.createGrid();
+        this._selectedId = packId;
+        await this.open();
+      } catch (error) {
+        ErrorHandler.handle(error, 'PackService.playNext');
+      }
+    },
+
+    /**
+     * Stores the result of a cleared pack level if it beats the previous best
+     */
+    recordWin() {
+      if (state.level?.source !== 'pack') return;
+
+      const { packId, index } = state.level;
+      const previous = StorageService.loadLevelProgress()[packId]?.[index];
+      const stars = this.getStars(state.levelMoves, state.par);
+      StorageService.saveLevelProgress(packId, index, {
+        moves: previous ? Math.min(previous.moves, state.levelMoves) : state.levelMoves,
+        score: previous ? Math.max(previous.score, state.levelScore) : state.levelScore,
+        stars: previous ? Math.max(previous.stars, stars) : stars
+      });
+    },
+
+    /**
+     * Rates a clear against par
+     * @param {number} moves - Moves used
+     * @param {number|null} par - Level par
+     * @returns {number} Stars, 1 to 3
+     */
+    getStars(moves, par) {
+      if (!par) return 1;
+      return 1 + STAR_PAR_RATIOS.filter(ratio => moves <= par * ratio).length;
+    },
+
+    /**
+     * A level is unlocked once the one before it has been cleared
+     * @param {string} packId - Pack id
+     * @param {number} index - Level index
+     * @returns {boolean} Level can be played
+     */
+    isUnlocked(packId, index) {
+      return index === 0 || Boolean(StorageService.loadLevelProgress()[packId]?.[index - 1]);
+    },
+
+    /**
+     * @returns {boolean} The current level is the last one of its pack
+     */
+    isLastLevel() {
+      const pack = this._packs?.find(candidate => candidate.id === state.level?.packId);
+      return Boolean(pack) && state.level.index === pack.levels.length - 1;
+    },
+
+    /**
+     * Selects the pack whose levels are listed
+     * @param {string} packId - Pack id
+     */
+    select(packId) {
+      this._selectedId = packId;
+      this.render();
+    },
+
+    /**
+     * Renders pack tabs and the selected pack's levels with stars and locks
+     */
+    render() {
+      const packs = this._packs ?? [];
+      const progress = StorageService.loadLevelProgress();
+
+      if (elements.packTabs) {
+        elements.packTabs.innerHTML = '';
+        packs.forEach(pack => {
+          const tab = document.createElement('button');
+          tab.textContent = pack.name;
+          tab.classList.toggle('selected', pack.id === this._selectedId);
+          tab.addEventListener('click', ErrorHandler.wrap(() => this.select(pack.id), 'packs.select'));
+          elements.packTabs.appendChild(tab);
+        });
+      }
+
+      if (!elements.levelList) return;
+      elements.levelList.innerHTML = '';
+      const pack = packs.find(candidate => candidate.id === this._selectedId);
+      if (!pack) {
+        elements.levelList.textContent = 'no level packs yet';
+        return;
+      }
+
+      pack.levels.forEach((level, index) => {
+        const best = progress[pack.id]?.[index];
+        const unlocked = this.isUnlocked(pack.id, index);
+        const square = document.createElement('button');
+        square.className = 'level-square';
+        square.disabled = !unlocked;
+        square.title = level.objective ? `${level.name}: ${ObjectiveService.describe(level.objective)}` : level.name;
+        square.innerHTML = `<span>${index + 1}</span>` +
+          `<span class="level-stars">${unlocked ? this.formatStars(best?.stars ?? 0) : 'locked'}</span>`;
+        if (best) square.title += ` / best: ${best.moves} moves, ${best.score} score (${level.parBestKnown ? 'best known' : 'par'} ${level.par})`;
+        square.addEventListener('click', ErrorHandler.wrap(() => this.play(pack.id, index), 'packs.play'));
+        elements.levelList.appendChild(square);
+      });
+    },
+
+    /**
+     * @param {number} stars - Stars earned
+     * @returns {string} Filled and empty stars, e.g. '★★☆'
+     */
+    formatStars(stars) {
+      return '★'.repeat(stars) + '☆'.repeat(STAR_PAR_RATIOS.length + 1 - stars);
+    },
+
+    /**
+     * Shows a message on the level-select screen
+     * @private
+     */
+    _setStatus(message) {
+      if (elements.packsStatus) elements.packsStatus.textContent = message;
+    }
+  };
+
+  // === Achievement Service ===
+  const AchievementService = {
+    /**
+     * Unlocks, progress and the running quest streak (see StorageService.loadAchievements)
+     * @private
+     */
+    _record: null,
+
+    /**
+     * Checks achievements after a move
+     * @param {Object} result - Move result from BulbEngine.move
+     */
+    recordMove(result) {
+      const vanished = result.events.filter(event => event.type === 'vanish').length;
+      this._evaluate({ type: 'move', pairs: Math.floor(vanished / 2) });
+    },
+
+    /**
+     * Checks achievements after a cleared quest level
+     */
+    recordWin() {
+      if (this._isPractice()) return;
+      this._load().questStreak++;
+      this._evaluate({ type: 'win' });
+    },
+
+    /**
+     * Breaks the quest streak after a lost level
+     */
+    recordLose() {
+      if (this._isPractice()) return;
+      this.resetStreak();
+    },
+
+    /**
+     * Breaks the quest streak when a quest series is abandoned
+     */
+    resetStreak() {
+      const record = this._load();
+      if (record.questStreak === 0) return;
+      record.questStreak = 0;
+      StorageService.saveAchievements(record);
+    },
+
+    /**
+     * @returns {Array<Object>} Achievements with `progress` (0 to goal) and `unlocked` (ISO time or null)
+     */
+    getAll() {
+      const { unlocked, progress } = this._load();
+      return ACHIEVEMENTS.map(achievement => ({
+        ...achievement,
+        progress: unlocked[achievement.id] ? achievement.goal : Math.min(progress[achievement.id] ?? 0, achievement.goal),
+        unlocked: unlocked[achievement.id] ?? null
+      }));
+    },
+
+    /**
+     * Opens the achievement gallery
+     */
+    open() {
+      elements.gameContainer?.classList.add('hidden');
+      elements.settingsContainer?.classList.add('hidden');
+      elements.achievementsContainer?.classList.remove('hidden');
+      state.isOverlayActive = true;
+      this.render();
+    },
+
+    /**
+     * Closes the achievement gallery and goes back to the game
+     */
+    close() {
+      elements.achievementsContainer?.classList.add('hidden');
+      elements.gameContainer?.classList.remove('hidden');
+      state.isOverlayActive = false;
+    },
+
+    /**
+     * Renders every achievement, with a progress bar for goals above one
+     */
+    render() {
+      if (!elements.achievementList) return;
+      const achievements = this.getAll();
+      elements.achievementList.innerHTML = '';
+
+      achievements.forEach(achievement => {
+        const item = document.createElement('li');
+        item.className = 'achievement';
+        item.classList.toggle('unlocked', Boolean(achievement.unlocked));
+        item.innerHTML = `<strong>${achievement.name}</strong><span>${achievement.description}</span>`;
+
+        if (achievement.unlocked) {
+          item.title = `unlocked ${new Date(achievement.unlocked).toLocaleString()}`;
+        }
+        if (achievement.goal > 1) {
+          const bar = document.createElement('div');
+          bar.className = 'achievement-bar';
+          bar.innerHTML = `<div style="width: ${100 * achievement.progress / achievement.goal}%"></div>`;
+          const count = document.createElement('span');
+          count.className = 'achievement-count';
+          count.textContent = `${achievement.progress} / ${achievement.goal}`;
+          item.append(bar, count);
+        }
+        elements.achievementList.appendChild(item);
+      });
+
+      if (elements.achievementsSummary) {
+        const unlocked = achievements.filter(achievement => achievement.unlocked).length;
+        elements.achievementsSummary.textContent = `${unlocked} of ${achievements.length} unlocked`;
+      }
+    },
+
+    /**
+     * Updates progress for a game event and announces new unlocks
+     * @private
+     * @param {Object} event - { type: 'move', pairs } or { type: 'win' }
+     */
+    _evaluate(event) {
+      if (this._isPractice()) return;
+
+      const record = this._load();
+      const unlocked = [];
+      ACHIEVEMENTS.forEach(achievement => {
+        if (record.unlocked[achievement.id]) return;
+        const value = this._measure(achievement, event, record);
+        if (value === null) return;
+
+        const previous = record.progress[achievement.id] ?? 0;
+        const progress = achievement.total ? previous + value : Math.max(previous, value);
+        record.progress[achievement.id] = Math.min(progress, achievement.goal);
+        if (progress >= achievement.goal) {
+          record.unlocked[achievement.id] = new Date().toISOString();
+          unlocked.push(achievement);
+        }
+      });
+
+      StorageService.saveAchievements(record);
+      unlocked.forEach(achievement => UIService.showAchievementToast(achievement));
+    },
+
+    /**
+     * Reads what an event contributes to an achievement
+     * @private
+     * @returns {number|null} Value, or null if the event doesn't count
+     */
+    _measure(achievement, event, record) {
+      if (achievement.rows && (state.rows !== achievement.rows || state.cols !== achievement.cols)) return null;
+
+      switch (achievement.measure) {
+        case 'questClear':
+          if (event.type !== 'win') return null;
+          return !achievement.maxMoves || state.levelMoves <= achievement.maxMoves ? 1 : null;
+        case 'questStreak':
+          return event.type === 'win' ? record.questStreak : null;
+        case 'pairs':
+          return event.type === 'move' ? event.pairs : null;
+        case 'infinityScore':
+          return event.type === 'move' && state.gameMode === 'infinity' ? state.score : null;
+        default:
+          return null;
+      }
+    },
+
+    /**
+     * Editor test plays and script-loaded boards don't count: the player made the board
+     * @private
+     */
+    _isPractice() {
+      return state.level?.source === 'editor' || state.level?.source === 'script';
+    },
+
+    /** @private */
+    _load() {
+      this._record ??= StorageService.loadAchievements();
+      return this._record;
+    }
+  };
+
+  // === Input Service ===
+  const InputService = {
+    /**
+     * Action waiting for its new key in the key help, if any
+     * @private
+     */
+    _capturing: null,
+    /**
+     * Gamepad buttons held down, as '<pad>:<button>', so holding one acts once
+     * @private
+     */
+    _pressedButtons: new Set(),
+    /** @private */
+    _gamepadFrame: null,
+
+    /**
+     * Reads stored key bindings, falling back to the defaults for anything missing or clashing
+     * @param {*} stored - Stored bindings
+     * @returns {Object<string, string>} Key for each action
+     */
+    readBindings(stored) {
+      const bindings = { ...DEFAULT_KEY_BINDINGS };
+      if (!stored || typeof stored !== 'object') return bindings;
+
+      Object.keys(KEY_ACTIONS).forEach(action => {
+        const key = stored[action];
+        if (typeof key === 'string' && key && key !== 'Escape') bindings[action] = key;
+      });
+      const keys = Object.values(bindings);
+      return keys.length === new Set(keys).size ? bindings : { ...DEFAULT_KEY_BINDINGS };
+    },
+
+    /**
+     * Handles a key press: a key being rebound, Esc, or a bound action
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKey(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey) return; // leave browser shortcuts alone
+      const key = this._normalizeKey(e.key);
+
+      if (this._capturing) {
+        e.preventDefault();
+        this._finishCapture(key);
+        return;
+      }
+      if (e.target instanceof HTMLInputElement && ['text', 'number'].includes(e.target.type)) return;
+
+      if (key === 'Escape') {
+        if (this.closeTopOverlay()) e.preventDefault();
+        return;
+      }
+      const action = this.getAction(key);
+      if (!action) return;
+      e.preventDefault();
+      this.runAction(action);
+    },
+
+    /**
+     * Finds the action bound to a key; arrow keys always move
+     * @param {string} key - Normalized key
+     * @returns {string|null} Action
+     */
+    getAction(key) {
+      const action = Object.keys(state.keyBindings).find(candidate => state.keyBindings[candidate] === key);
+      return action ?? (DIRECTION_DELTAS[key] ? key : null);
+    },
+
+    /**
+     * Runs a keyboard or gamepad action. Shortcuts other than moves, Esc and
+     * the key help only work while the board is shown.
+     * @param {string} action - Direction, 'undo', 'redo', 'restart', 'settings', 'statistics', 'help' or 'close'
+     */
+    runAction(action) {
+      if (action === 'close') {
+        this.closeTopOverlay();
+        return;
+      }
+      if (action === 'help') {
+        this.toggleHelp();
+        return;
+      }
+      if (DIRECTION_DELTAS[action]) {
+        MoveQueue.push(action);
+        return;
+      }
+      if (!this._isBoardShown()) return;
+
+      switch (action) {
+        case 'undo':
+          GameLogic.undo();
+          break;
+        case 'redo':
+          GameLogic.redo();
+          break;
+        case 'restart':
+          GameLogic.restart();
+          break;
+        case 'settings':
+          UIService.showSettings();
+          break;
+        case 'statistics':
+          UIService.showStatistics();
+          break;
+      }
+    },
+
+    /**
+     * Closes whatever is on top: the key help, a popup, a screen, or a replay
+     * @returns {boolean} Something was closed
+     */
+    closeTopOverlay() {
+      const isShown = element => Boolean(element) && !element.classList.contains('hidden');
+      const closers = [
+        [elements.keysContainer, () => this.closeHelp()],
+        [elements.gameOverPopup, () => UIService.hideGameOverPopup()],
+        [elements.questWinPopup, () => UIService.hideQuestWinPopup()],
+        [elements.editorContainer, () => EditorService.close()],
+        [elements.packsContainer, () => PackService.close()],
+        [elements.achievementsContainer, () => AchievementService.close()],
+        [elements.statisticsContainer, () => UIService.hideStatistics()],
+        [elements.settingsContainer, () => UIService.hideSettings()]
+      ];
+
+      const closer = closers.find(([element]) => isShown(element));
+      if (closer) {
+        closer[1]();
+        return true;
+      }
+      if (state.replay) {
+        ReplayService.exit();
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Opens the key help, or closes it when open
+     */
+    toggleHelp() {
+      if (elements.keysContainer?.classList.contains('hidden')) {
+        this.openHelp();
+      } else {
+        this.closeHelp();
+      }
+    },
+
+    /**
+     * Opens the key help, which lists and remaps the key bindings
+     */
+    openHelp() {
+      ['gameContainer', 'settingsContainer', 'statisticsContainer', 'packsContainer',
+        'achievementsContainer', 'editorContainer'].forEach(id => elements[id]?.classList.add('hidden'));
+      elements.keysContainer?.classList.remove('hidden');
+      state.isOverlayActive = true;
+      this._setStatus('');
+      this.renderHelp();
+    },
+
+    /**
+     * Closes the key help and goes back to the game
+     */
+    closeHelp() {
+      this._capturing = null;
+      elements.keysContainer?.classList.add('hidden');
+      elements.gameContainer?.classList.remove('hidden');
+      state.isOverlayActive = false;
+    },
+
+    /**
+     * Waits for the next key press to bind it to an action
+     * @param {string} action - Action to rebind
+     */
+    startCapture(action) {
+      this._capturing = action;
+      this._setStatus(`press a key for "${KEY_ACTIONS[action]}", or Esc to cancel`);
+      this.renderHelp();
+    },
+
+    /**
+     * Binds the direction keys of a preset
+     * @param {string} preset - 'arrows', 'wasd' or 'hjkl'
+     */
+    applyPreset(preset) {
+      Object.entries(KEY_PRESETS[preset]).forEach(([action, key]) => this._bind(action, key));
+      StorageService.saveState();
+      this._setStatus(`${preset} keys`);
+      this.renderHelp();
+    },
+
+    /**
+     * Restores every default binding
+     */
+    resetBindings() {
+      state.keyBindings = { ...DEFAULT_KEY_BINDINGS };
+      StorageService.saveState();
+      this._setStatus('default keys');
+      this.renderHelp();
+    },
+
+    /**
+     * Renders the bindings, each with a button that rebinds it, and the presets
+     */
+    renderHelp() {
+      if (elements.keyBindingList) {
+        elements.keyBindingList.innerHTML = '';
+        Object.entries(KEY_ACTIONS).forEach(([action, label]) => {
+          const row = document.createElement('li');
+          const name = document.createElement('span');
+          name.textContent = label;
+          const button = document.createElement('button');
+          button.textContent = this._capturing === action ? '...' : this.formatKey(state.keyBindings[action]);
+          button.classList.toggle('selected', this._capturing === action);
+          button.addEventListener('click', ErrorHandler.wrap(() => this.startCapture(action), 'keys.capture'));
+          row.append(name, button);
+          elements.keyBindingList.appendChild(row);
+        });
+      }
+
+      if (elements.keyPresets) {
+        elements.keyPresets.innerHTML = '';
+        Object.entries(KEY_PRESETS).forEach(([preset, keys]) => {
+          const button = document.createElement('button');
+          button.textContent = preset;
+          button.classList.toggle('selected',
+            Object.entries(keys).every(([action, key]) => state.keyBindings[action] === key));
+          button.addEventListener('click', ErrorHandler.wrap(() => this.applyPreset(preset), 'keys.preset'));
+          elements.keyPresets.appendChild(button);
+        });
+      }
+    },
+
+    /**
+     * Shows a key as the player knows it
+     * @param {string} key - Normalized key
+     * @returns {string} Label
+     */
+    formatKey(key) {
+      if (DIRECTION_ARROWS[key]) return DIRECTION_ARROWS[key];
+      if (key === ' ') return 'space';
+      return key;
+    },
+
+    /**
+     * Starts polling gamepads; browsers only report buttons by polling
+     */
+    startGamepadPolling() {
+      if (this._gamepadFrame === null) this._pollGamepads();
+    },
+
+    /**
+     * Runs the action of every gamepad button pressed since the last poll,
+     * and keeps polling while a gamepad is connected
+     * @private
+     */
+    _pollGamepads() {
+      const gamepads = [...(navigator.getGamepads?.() ?? [])].filter(Boolean);
+
+      try {
+        gamepads.forEach(gamepad => {
+          gamepad.buttons.forEach((button, index) => {
+            const id = `${gamepad.index}:${index}`;
+            if (!button.pressed) {
+              this._pressedButtons.delete(id);
+            } else if (!this._pressedButtons.has(id)) {
+              this._pressedButtons.add(id);
+              if (GAMEPAD_BUTTONS[index]) this.runAction(GAMEPAD_BUTTONS[index]);
+            }
+          });
+        });
+      } catch (error) {
+        ErrorHandler.handle(error, 'InputService.pollGamepads');
+      }
+
+      this._gamepadFrame = gamepads.length > 0 ?
+        requestAnimationFrame(() => this._pollGamepads()) :
+        null;
+    },
+
+    /**
+     * Binds the captured action to a key; Esc cancels
+     * @private
+     */
+    _finishCapture(key) {
+      const action = this._capturing;
+      this._capturing = null;
+      if (key === 'Escape') {
+        this._setStatus('');
+      } else {
+        this._bind(action, key);
+        StorageService.saveState();
+        this._setStatus(`"${KEY_ACTIONS[action]}" is now ${this.formatKey(key)}`);
+      }
+      this.renderHelp();
+    },
+
+    /**
+     * Binds a key to an action; an action that had the key takes over the old one
+     * @private
+     */
+    _bind(action, key) {
+      const previousKey = state.keyBindings[action];
+      const other = Object.keys(state.keyBindings).find(candidate => state.keyBindings[candidate] === key);
+      if (other && other !== action) state.keyBindings[other] = previousKey;
+      state.keyBindings[action] = key;
+    },
+
+    /**
+     * Letters are bound regardless of Shift and Caps Lock
+     * @private
+     */
+    _normalizeKey(key) {
+      return key.length === 1 ? key.toLowerCase() : key;
+    },
+
+    /** @private */
+    _isBoardShown() {
+      return !state.replay && !state.isOverlayActive &&
+        !elements.gameContainer?.classList.contains('hidden');
+    },
+
+    /** @private */
+    _setStatus(message) {
+      if (elements.keysStatus) elements.keysStatus.textContent = message;
+    }
+  };
+
+  // === Accessibility Service ===
+  const AccessibilityService = {
+    /**
+     * Board cell that takes keyboard focus (roving tabindex)
+     * @private
+     */
+    _focus: { row: 0, col: 0 },
+    /**
+     * Pending announcement timer
+     * @private
+     */
+    _announceTimer: null,
+    /**
+     * Element focused before the shown popup took focus
+     * @private
+     */
+    _returnFocus: null,
+
+    /**
+     * Reads a message out through the move announcer live region
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+      const announcer = elements.moveAnnouncer;
+      if (!announcer) return;
+
+      clearTimeout(this._announceTimer);
+      announcer.textContent = '';
+      this._announceTimer = setTimeout(() => {
+        announcer.textContent = message;
+      }, ANNOUNCE_DELAY);
+    },
+
+    /**
+     * Sums up a move for screen readers, e.g. "split 3 tiles, cleared 2, score 14"
+     * @param {Object} result - Move result from BulbEngine.move
+     * @returns {string} Announcement
+     */
+    describeMove(result) {
+      const splits = result.events.filter(event => event.type === 'split').length;
+      const cleared = result.events.filter(event => event.type === 'vanish').length;
+      const score = state.gameMode === 'infinity' ? state.score : state.levelScore;
+
+      const parts = [`split ${splits} ${splits === 1 ? 'tile' : 'tiles'}`];
+      if (cleared > 0) parts.push(`cleared ${cleared}`);
+      parts.push(`score ${score}`);
+      return parts.join(', ');
+    },
+
+    /**
+     * Describes a board value for a cell's label
+     * @param {number|string|null} value - Board value
+     * @returns {string} Label
+     */
+    describeCell(value) {
+      const { Cell } = BulbEngine;
+      if (value === Cell.WALL) return 'wall';
+      if (value === Cell.SINK) return 'sink';
+      if (!Cell.isTile(value)) return 'empty';
+      return Cell.isLocked(value) ? `${Cell.getValue(value)}, locked` : String(Cell.getValue(value));
+    },
+
+    /**
+     * Picks the cell of a freshly built board that takes keyboard focus: the
+     * previous position if it still fits, otherwise the top left cell
+     * @param {number} rows - Row count
+     * @param {number} cols - Column count
+     * @param {boolean} [refocus=false] - The old board had focus, so give it to the new one
+     */
+    resetFocus(rows, cols, refocus = false) {
+      if (this._focus.row >= rows || this._focus.col >= cols) this._focus = { row: 0, col: 0 };
+      const cell = document.getElementById(`cell-${this._focus.row}-${this._focus.col}`);
+      cell?.setAttribute('tabindex', '0');
+      if (refocus) cell?.focus();
+    },
+
+    /**
+     * Moves keyboard focus between board cells with Alt+arrows. Plain arrows
+     * stay moves, so focus never fights with play.
+     * @param {KeyboardEvent} e - Keyboard event on the board
+     */
+    handleBoardKey(e) {
+      const delta = DIRECTION_DELTAS[e.key];
+      if (!e.altKey || !delta) return;
+      e.preventDefault();
+
+      const [deltaRow, deltaCol] = delta;
+      const row = Math.min(Math.max(this._focus.row + deltaRow, 0), state.rows - 1);
+      const col = Math.min(Math.max(this._focus.col + deltaCol, 0), state.cols - 1);
+      document.getElementById(`cell-${row}-${col}`)?.focus();
+    },
+
+    /**
+     * Makes a board cell that got focus, by keyboard or pointer, the one Tab returns to
+     * @param {FocusEvent} e - Focus event on the board
+     */
+    handleBoardFocus(e) {
+      const match = e.target.id?.match(/^cell-(\d+)-(\d+)$/);
+      if (!match) return;
+
+      document.getElementById(`cell-${this._focus.row}-${this._focus.col}`)?.setAttribute('tabindex', '-1');
+      e.target.setAttribute('tabindex', '0');
+      this._focus = { row: Number(match[1]), col: Number(match[2]) };
+    },
+
+    /**
+     * Keeps Tab and Shift+Tab inside a shown popup
+     * @param {KeyboardEvent} e - Keyboard event in the popup
+     */
+    trapFocus(e) {
+      if (e.key !== 'Tab') return;
+      const focusable = this._getFocusable(e.currentTarget);
+      if (focusable.length === 0) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      } else if (!focusable.includes(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      }
+    },
+
+    /**
+     * Moves focus into a popup that was just shown, remembering where it was
+     * @param {HTMLElement} popup - Popup element
+     */
+    focusPopup(popup) {
+      if (!popup.contains(document.activeElement)) this._returnFocus = document.activeElement;
+      this._getFocusable(popup)[0]?.focus();
+    },
+
+    /**
+     * Gives focus back to where it was before a popup that is being hidden,
+     * or to the board when that element can't take it any more
+     * @param {HTMLElement} popup - Popup element
+     */
+    restoreFocus(popup) {
+      const target = this._returnFocus;
+      this._returnFocus = null;
+      if (!popup.contains(document.activeElement)) return;
+
+      if (target && target !== document.body) target.focus();
+      if (popup.contains(document.activeElement)) {
+        document.getElementById(`cell-${this._focus.row}-${this._focus.col}`)?.focus();
+      }
+    },
+
+    /**
+     * Lists a popup's visible focusable controls
+     * @private
+     */
+    _getFocusable(popup) {
+      return [...popup.querySelectorAll('button, input, [tabindex="0"]')]
+        .filter(control => !control.disabled && !control.closest('.hidden'));
+    }
+  };
+
+  // === Animation Service ===
+  const AnimationService = {
+    /**
+     * Id of the move currently being played back
+     * @private
+     */
+    _playbackId: 0,
+    /**
+     * The last move played back has finished, vanishing tiles included
+     * @private
+     */
+    _settled: true,
+
+    /**
+     * Plays a resolved move's events on the board. With reduced motion
+     * asked for, every move shows its result at once.
+     * @param {Object} result - Move result from BulbEngine.move
+     * @param {Function} [onSettled] - Called once vanishing tiles are removed
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.instant=false] - Show the result at once, without animations
+     */
+    playMove(result, onSettled, { instant = false } = {}) {
+      const playbackId = ++this._playbackId;
+      this._settled = false;
+
+      if (instant || this.prefersReducedMotion()) {
+        state.displayGrid = null;
+        UIService.showScorePopup(result.scoreGain);
+        PerformanceUtils.batchUpdate(() => {
+          if (playbackId !== this._playbackId) return;
+          this._settled = true;
+          UIService.render();
+          onSettled?.();
+        });
+        return;
+      }
+
+      state.displayGrid = result.splitBoard;
+
+      result.events.forEach(event => {
+        switch (event.type) {
+          case 'spawn':
+            this.animateCellAppearing(document.getElementById(`cell-${event.row}-${event.col}`));
+            break;
+          case 'split':
+            this.animateCellSplit(event.row, event.col, event.deltaRow, event.deltaCol);
+            break;
+          case 'slide':
+            this.animateSplitAppear(
+              event.fromRow, event.fromCol, event.toRow, event.toCol,
+              event.value, event.deltaRow, event.deltaCol, event.swallowed
+            );
+            break;
+        }
+      });
+
+      PerformanceUtils.batchUpdate(() => UIService.render());
+
+      const vanished = result.events.filter(event => event.type === 'vanish');
+      const settle = () => {
+        if (playbackId !== this._playbackId) return;
+        state.displayGrid = null;
+        this._settled = true;
+        PerformanceUtils.batchUpdate(() => {
+          UIService.render();
+          onSettled?.();
+        });
+      };
+
+      if (vanished.length === 0) {
+        settle();
+        return;
+      }
+
+      // Handle disappearing cells with delay
+      setTimeout(() => {
+        if (playbackId === this._playbackId) {
+          vanished.forEach(({ row, col }) => this.animateAndRemoveCell(row, col));
+        }
+        UIService.showScorePopup(result.scoreGain);
+        settle();
+      }, ANIMATION_DURATION * 2);
+    },
+
+    /**
+     * @returns {boolean} The player's system asks for reduced motion
+     */
+    prefersReducedMotion() {
+      return window.matchMedia?.(REDUCED_MOTION_QUERY).matches ?? false;
+    },
+
+    /**
+     * Drops any move still being played back so the board shows state.grid.
+     * Queued moves go too: they were meant for the board being dropped.
+     */
+    cancelPlayback() {
+      this._playbackId++;
+      this._settled = true;
+      state.displayGrid = null;
+      MoveQueue.clear();
+    },
+
+    /**
+     * @returns {boolean} No move is being played back
+     */
+    isSettled() {
+      return this._settled;
+    },
+
+    /**
+     * Gets animation class for split direction
+     * @private
+     * @param {number} deltaRow - Row delta
+     * @param {number} deltaCol - Column delta
+     * @returns {string} CSS animation class
+     */
+    _getSplitAnimationClass(deltaRow, deltaCol) {
+      if (deltaRow !== 0) return ANIMATION_CLASSES.SPLIT_DIRECTIONS[deltaRow];
+      return ANIMATION_CLASSES.SPLIT_DIRECTIONS[0][deltaCol];
+    },
+
+    /**
+     * Animates cell splitting effect
+     * @param {number} row - Cell row
+     * @param {number} col - Cell column
+     * @param {number} deltaRow - Row delta
+     * @param {number} deltaCol - Column delta
+     */
+    animateCellSplit(row, col, deltaRow, deltaCol) {
+      const cell = document.getElementById(`cell-${row}-${col}`);
+      if (!cell) return;
+      
+      const animationClass = this._getSplitAnimationClass(deltaRow, deltaCol);
+      if (!animationClass) return;
+      
+      cell.classList.add(animationClass);
+      setTimeout(() => cell.classList.remove(animationClass), ANIMATION_DURATION);
+    },
+
+    /**
+     * Animates split appearance with smooth transition
+     * @param {number} parentRow - Parent cell row
      * @param {number} parentCol - Parent cell column  
      * @param {number} targetRow - Target cell row
      * @param {number} targetCol - Target cell column
      * @param {number} value - Cell value
      * @param {number} deltaRow - Row delta
      * @param {number} deltaCol - Column delta
+     * @param {boolean} [swallowed=false] - Target is a sink that swallows the tile
      */
-    animateSplitAppear(parentRow, parentCol, targetRow, targetCol, value, deltaRow, deltaCol) {
+    animateSplitAppear(parentRow, parentCol, targetRow, targetCol, value, deltaRow, deltaCol, swallowed = false) {
       const gameField = document.getElementById('game');
       if (!gameField) return;
       
-      const cellSize = gameField.offsetWidth / state.size;
+      const cellSize = {
+        width: gameField.offsetWidth / state.cols,
+        height: gameField.offsetHeight / state.rows
+      };
       
       // Create and setup temporary animation element
       const tempCell = this._createTempAnimationCell(parentRow, parentCol, value, cellSize);
-      const targetCell = document.getElementById(`cell-${targetRow}-${targetCol}`);
+      const targetCell = swallowed ? null : document.getElementById(`cell-${targetRow}-${targetCol}`);
+      if (swallowed) tempCell.classList.add('swallowed');
       
       if (targetCell) {
         this._hideTargetCell(targetCell);
@@ -963,22 +5369,18 @@ const BulbGame = (() => {
       Object.assign(tempCell, {
         className: 'cell split-appear-anim',
       });
+      tempCell.setAttribute('aria-hidden', 'true'); // only a picture of the tile in flight
       
       Object.assign(tempCell.style, {
         position: 'absolute',
         zIndex: '2',
-        width: `${cellSize}px`,
-        height: `${cellSize}px`,
-        left: `${parentCol * cellSize}px`,
-        top: `${parentRow * cellSize}px`
+        width: `${cellSize.width}px`,
+        height: `${cellSize.height}px`,
+        left: `${parentCol * cellSize.width}px`,
+        top: `${parentRow * cellSize.height}px`
       });
       
-      tempCell.dataset.value = value;
-      
-      if (elements.toggleDataValue?.checked) {
-        tempCell.textContent = value ? Math.log2(value) - 1 : '';
-      }
-      
+      UIService.paintCell(tempCell, value);
       return tempCell;
     },
 
@@ -999,8 +5401,8 @@ const BulbGame = (() => {
     _animateToTarget(tempCell, targetRow, targetCol, cellSize) {
       requestAnimationFrame(() => {
         tempCell.style.transition = `left ${ANIMATION_DURATION}ms, top ${ANIMATION_DURATION}ms`;
-        tempCell.style.left = `${targetCol * cellSize}px`;
-        tempCell.style.top = `${targetRow * cellSize}px`;
+        tempCell.style.left = `${targetCol * cellSize.width}px`;
+        tempCell.style.top = `${targetRow * cellSize.height}px`;
       });
     },
 
@@ -1011,9 +5413,7 @@ const BulbGame = (() => {
     _cleanupSplitAnimation(tempCell, targetCell, targetRow, targetCol, value, deltaRow, deltaCol) {
       if (targetCell) {
         targetCell.classList.remove('cell-null');
-        targetCell.textContent = elements.toggleDataValue?.checked ? 
-          (value ? Math.log2(value) - 1 : '') : '';
-        targetCell.dataset.value = value;
+        UIService.paintCell(targetCell, value);
 
         const appearClass = this._getSplitAnimationClass(deltaRow, deltaCol);
         if (appearClass) {
@@ -1068,29 +5468,49 @@ const BulbGame = (() => {
       this.renderGrid();
       this.updateScoreAndMoves();
       this.updateEfficiency();
+      this.updateSeed();
+      this.updateHistory();
+      TimerService.render();
+      ObjectiveService.render();
+      SpawnService.renderPreview();
     },
 
     /**
      * Renders grid state to DOM
      */
     renderGrid() {
-      for (let r = 0; r < state.size; r++) {
-        for (let c = 0; c < state.size; c++) {
+      const grid = state.displayGrid ?? state.grid;
+      for (let r = 0; r < grid.length; r++) {
+        for (let c = 0; c < grid[r].length; c++) {
           const cell = document.getElementById(`cell-${r}-${c}`);
-          const val = state.grid[r][c];
-          
-          if (cell) {
-            cell.dataset.value = val ?? '';
-            if (elements.toggleDataValue?.checked) {
-              cell.textContent = val ? Math.log2(val) - 1 : '';
-            } else {
-              cell.textContent = '';
-            }
-          }
+          if (cell) this.paintCell(cell, grid[r][c]);
         }
       }
     },
 
+    /**
+     * Draws a board value into a cell element. Tiles keep their value in
+     * data-value; walls, sinks and locked tiles are marked with data-cell.
+     * The cell's label always names the full value, whatever text is shown.
+     * @param {HTMLElement} cell - Cell element
+     * @param {number|string|null} value - Board value
+     */
+    paintCell(cell, value) {
+      const { Cell } = BulbEngine;
+      const tileValue = Cell.getValue(value);
+
+      cell.dataset.value = tileValue || '';
+      if (Cell.isLocked(value)) {
+        cell.dataset.cell = 'locked';
+      } else if (value === Cell.WALL || value === Cell.SINK) {
+        cell.dataset.cell = value;
+      } else {
+        delete cell.dataset.cell;
+      }
+      cell.textContent = tileValue && elements.toggleDataValue?.checked ? Math.log2(tileValue) - 1 : '';
+      cell.setAttribute('aria-label', AccessibilityService.describeCell(value));
+    },
+
     /**
      * Updates score and moves display
      */
@@ -1107,7 +5527,78 @@ const BulbGame = (() => {
         if (elements.totalMovesDisplay) elements.totalMovesDisplay.textContent = state.totalMoves;
         if (elements.levelScore) elements.levelScore.textContent = state.levelScore;
         if (elements.totalScoreDisplay) elements.totalScoreDisplay.textContent = state.totalScore;
+        if (elements.levelPar) elements.levelPar.textContent = state.par ?? '-';
+        if (elements.levelParLabel) elements.levelParLabel.textContent = this.getParLabel();
+        if (elements.levelDifficulty) elements.levelDifficulty.textContent = state.levelDifficulty ?? '';
+        elements.levelDifficultyRow?.classList.toggle('hidden', !state.levelDifficulty);
+      }
+      elements.hintBtn?.classList.toggle('hidden', !HintService.isAvailable());
+    },
+
+    /**
+     * Names the level's par: a par that isn't proven minimal is only the best known
+     * @returns {string} Label
+     */
+    getParLabel() {
+      return state.parBestKnown ? 'best known' : 'par';
+    },
+
+    /**
+     * Shows or clears the hint highlight and message
+     * @param {string|null} direction - Direction to highlight, or null
+     * @param {string} [message=''] - Message under the board
+     */
+    showHint(direction, message = '') {
+      const gameField = document.getElementById('game');
+      if (gameField) {
+        if (direction) {
+          gameField.dataset.hint = direction;
+        } else {
+          delete gameField.dataset.hint;
+        }
       }
+      if (elements.hintMessage) elements.hintMessage.textContent = message;
+    },
+
+    /**
+     * Updates undo/redo buttons and the branch switcher
+     */
+    updateHistory() {
+      if (elements.undoBtn) elements.undoBtn.disabled = !HistoryService.canUndo();
+      if (elements.redoBtn) elements.redoBtn.disabled = !HistoryService.canRedo();
+
+      const container = elements.historyBranches;
+      if (!container) return;
+
+      const fork = HistoryService.getFork();
+      container.innerHTML = '';
+      container.classList.toggle('hidden', !fork);
+      if (!fork) return;
+
+      const label = document.createElement('span');
+      label.textContent = `branches after move ${fork.node.scores.moves ?? fork.node.scores.levelMoves}:`;
+      container.appendChild(label);
+
+      fork.branches.forEach(({ node, tipId, selected }) => {
+        const branchBtn = document.createElement('button');
+        branchBtn.textContent = DIRECTION_ARROWS[node.direction];
+        branchBtn.classList.toggle('selected', selected);
+        branchBtn.addEventListener('click', ErrorHandler.wrap(
+          () => GameLogic.jumpToHistory(tipId), 'history.branch'
+        ));
+        container.appendChild(branchBtn);
+      });
+    },
+
+    /**
+     * Updates seed display. Infinity spawns depend on the policy too, so it is
+     * shown with the seed: the same seed only replays a game under the same policy.
+     */
+    updateSeed() {
+      if (!elements.seedDisplay) return;
+      elements.seedDisplay.textContent = state.gameMode === 'infinity' ?
+        `${state.seed} (${SpawnService.describe()} spawns)` :
+        state.seed;
     },
 
     /**
@@ -1115,7 +5606,7 @@ const BulbGame = (() => {
      */
     updateEfficiency() {
       setTimeout(() => {
-        const efficiency = state.moves > 0 ? (state.score / state.moves).toFixed(1) : '0.0';
+        const efficiency = StatisticsService.getEfficiency(state.score, state.moves).toFixed(1);
         const effElement = document.getElementById('efficiency');
         
         if (effElement && effElement.textContent !== efficiency) {
@@ -1128,6 +5619,20 @@ const BulbGame = (() => {
       }, ANIMATION_DURATION * 6);
     },
 
+    /**
+     * Saves text as a file through a temporary download link
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(filename, content, type) {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([content], { type }));
+      link.download = filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    },
+
     /**
      * Shows animated score popup
      * @param {number} delta - Score increase amount
@@ -1150,6 +5655,45 @@ const BulbGame = (() => {
       }, ANIMATION_DURATION * 3);
     },
 
+    /**
+     * Shows the direction a drag on the board will move in
+     * @param {string|null} direction - Direction key, or null to hide the arrow
+     */
+    showDragArrow(direction) {
+      if (!elements.game) return;
+
+      let arrow = elements.game.querySelector('.drag-arrow');
+      if (!direction) {
+        arrow?.remove();
+        return;
+      }
+      if (!arrow) {
+        arrow = document.createElement('div');
+        arrow.className = 'drag-arrow';
+        elements.game.appendChild(arrow);
+      }
+      arrow.textContent = DIRECTION_ARROWS[direction];
+    },
+
+    /**
+     * Shows a toast for a newly unlocked achievement
+     * @param {Object} achievement - Achievement definition (see ACHIEVEMENTS)
+     */
+    showAchievementToast(achievement) {
+      if (!elements.achievementToasts) return;
+
+      const toast = document.createElement('div');
+      toast.className = 'achievement-toast';
+      toast.innerHTML = `<strong>achievement unlocked: ${achievement.name}</strong><span>${achievement.description}</span>`;
+      elements.achievementToasts.appendChild(toast);
+
+      setTimeout(() => {
+        if (toast.parentNode) {
+          toast.parentNode.removeChild(toast);
+        }
+      }, ACHIEVEMENT_TOAST_TIME);
+    },
+
     /**
      * Toggles game theme
      */
@@ -1184,196 +5728,773 @@ const BulbGame = (() => {
         elements.gameContainer.classList.add('hidden');
         elements.settingsContainer.classList.remove('hidden');
         this.highlightCurrentSize();
+        this.highlightCurrentDifficulty();
+        state.selectedSpawnPolicy = state.spawnPolicy;
+        SpawnService.renderSettings();
+      }
+    },
+
+    /**
+     * Hides settings overlay
+     */
+    hideSettings() {
+      if (elements.settingsContainer && elements.gameContainer) {
+        elements.settingsContainer.classList.add('hidden');
+        elements.gameContainer.classList.remove('hidden');
+        this.hideGameOverPopup(); // Ensure popup is hidden
+      }
+    },
+
+    /**
+     * Shows tutorial overlay
+     */
+    showTutorial() {
+      state.isOverlayActive = true;
+      
+      if (elements.gameContainer) elements.gameContainer.classList.add('hidden');
+      if (elements.settingsContainer) elements.settingsContainer.classList.add('hidden');
+      if (elements.tutorialContainer) elements.tutorialContainer.classList.remove('hidden');
+      
+      TutorialService.resetTutorialGrid();
+    },
+
+    /**
+     * Hides tutorial overlay
+     */
+    hideTutorial() {
+      state.isOverlayActive = false;
+      
+      if (elements.tutorialContainer) elements.tutorialContainer.classList.add('hidden');
+      if (elements.gameContainer) elements.gameContainer.classList.remove('hidden');
+    },
+
+    /**
+     * Shows statistics overlay and renders statistics.
+     */
+    showStatistics() {
+      if (elements.gameContainer && elements.statisticsContainer) {
+        elements.gameContainer.classList.add('hidden');
+        elements.settingsContainer.classList.add('hidden'); // Ensure settings are hidden
+        elements.statisticsContainer.classList.remove('hidden');
+        StatisticsService.resetFilters();
+        StatisticsService.renderStatistics();
+        state.isOverlayActive = true;
+      }
+    },
+
+    /**
+     * Hides statistics overlay.
+     */
+    hideStatistics() {
+      if (elements.statisticsContainer && elements.gameContainer) {
+        elements.statisticsContainer.classList.add('hidden');
+        elements.gameContainer.classList.remove('hidden');
+        state.isOverlayActive = false;
+        this.hideGameOverPopup(); // Ensure popup is hidden
+      }
+    },
+
+    /**
+     * @returns {boolean} The game over or quest win popup is shown
+     */
+    isPopupShown() {
+      return [elements.gameOverPopup, elements.questWinPopup]
+        .some(popup => popup && !popup.classList.contains('hidden'));
+    },
+
+    /**
+     * Hides game over popup
+     */
+    hideGameOverPopup() {
+      if (elements.gameOverPopup) {
+        AccessibilityService.restoreFocus(elements.gameOverPopup);
+        elements.gameOverPopup.classList.add('hidden');
+      }
+    },
+
+    /**
+     * Shows game over popup
+     * @param {string} message - Message to display
+     */
+    showGameOverPopup(message) {
+      if (elements.gameOverPopup) {
+        const popupMessage = elements.gameOverPopup.querySelector('p');
+        if (popupMessage) {
+          popupMessage.textContent = message;
+        }
+        elements.gameOverPopup.classList.remove('hidden');
+        AccessibilityService.focusPopup(elements.gameOverPopup);
+      }
+    },
+
+    /**
+     * Hides quest win popup
+     */
+    hideQuestWinPopup() {
+      if (elements.questWinPopup) {
+        AccessibilityService.restoreFocus(elements.questWinPopup);
+        elements.questWinPopup.classList.add('hidden');
+      }
+    },
+
+    /**
+     * Shows quest win popup
+     * @param {number} moves - Moves made in the quest level
+     * @param {number} score - Score obtained in the quest level
+     */
+    showQuestWinPopup(moves, score) {
+      if (elements.questWinPopup) {
+        if (elements.winMoves) elements.winMoves.textContent = moves;
+        if (elements.winScore) elements.winScore.textContent = score;
+        if (elements.winPar) elements.winPar.textContent = state.par ?? '-';
+        if (elements.winParLabel) elements.winParLabel.textContent = this.getParLabel();
+        if (elements.winStars) {
+          elements.winStars.textContent = PackService.formatStars(PackService.getStars(moves, state.par));
+        }
+        elements.winStarsRow?.classList.toggle('hidden', state.level?.source !== 'pack');
+        elements.winParRow?.classList.toggle('hidden', state.par === null);
+        if (elements.winTime) elements.winTime.textContent = TimerService.formatLastSplit();
+        elements.winTimeRow?.classList.toggle('hidden', state.timer?.variant !== 'speedrun');
+        if (elements.nextQuestLevelBtn) {
+          elements.nextQuestLevelBtn.textContent = this._getNextLevelLabel();
+        }
+        elements.questWinPopup.classList.remove('hidden');
+        AccessibilityService.focusPopup(elements.questWinPopup);
+      }
+    },
+
+    /**
+     * Labels the win popup button by where it leads
+     * @private
+     * @returns {string} Button label
+     */
+    _getNextLevelLabel() {
+      if (state.daily || state.level?.source === 'script') return 'back to game';
+      if (state.level?.source === 'editor') return 'back to editor';
+      if (state.level?.source === 'pack' && PackService.isLastLevel()) return 'back to levels';
+      if (TimerService.isOver()) return 'new run';
+      return 'next level';
+    },
+
+    /**
+     * Highlights currently selected grid size
+     */
+    highlightCurrentSize() {
+      state.selectedRows = state.rows;
+      state.selectedCols = state.cols;
+      this.highlightSelectedSize();
+    },
+
+    /**
+     * Marks the square preset matching the selected size and shows it in the custom inputs
+     * @param {boolean} [syncInputs=true] - Overwrite the custom row/column inputs
+     */
+    highlightSelectedSize(syncInputs = true) {
+      document.querySelectorAll('.size-square').forEach(square => {
+        const squareSize = parseInt(square.dataset.size, 10);
+        square.classList.toggle('selected',
+          squareSize === state.selectedRows && squareSize === state.selectedCols);
+      });
+      if (!syncInputs) return;
+      if (elements.customRowsInput) elements.customRowsInput.value = state.selectedRows;
+      if (elements.customColsInput) elements.customColsInput.value = state.selectedCols;
+    },
+
+    /**
+     * Highlights currently selected quest difficulty
+     */
+    highlightCurrentDifficulty() {
+      state.selectedDifficulty = state.difficulty;
+      document.querySelectorAll('.difficulty-square').forEach(square => {
+        square.classList.toggle('selected', square.dataset.difficulty === state.difficulty);
+      });
+    }
+  };
+
+  // === Statistics Service ===
+  const StatisticsService = {
+    /**
+     * Mode and board size the dashboard shows ('all' for either)
+     * @private
+     */
+    _filters: { mode: 'all', size: 'all', policy: 'all' },
+
+    /**
+     * Points the filters at the mode and board size being played
+     */
+    resetFilters() {
+      this._filters = {
+        mode: state.gameMode,
+        size: GridService.formatSize(state.rows, state.cols),
+        policy: state.gameMode === 'infinity' ? state.spawnPolicy : 'all'
+      };
+    },
+
+    /**
+     * Changes one filter and redraws the dashboard
+     * @param {string} name - 'mode' | 'size' | 'policy'
+     * @param {string} value - Mode, 'RxC' size, spawn policy or 'all'
+     */
+    setFilter(name, value) {
+      this._filters[name] = value;
+      this.renderStatistics();
+    },
+
+    /**
+     * Calculates and renders all statistics to the DOM.
+     * @returns {Promise<void>}
+     */
+    async renderStatistics() {
+      try {
+        const allGames = await StorageService.loadAllGamesStats();
+        const allAggregates = StorageService.loadGameAggregates();
+        const games = this.filterGames(allGames);
+        const aggregates = this.filterGames(allAggregates);
+
+        this._renderFilters([...allGames, ...allAggregates]);
+        this._updateSummaryStats(games, aggregates);
+        this._updateQuestStats(games);
+        this._renderChart(elements.scoreChart, games, game => game.score);
+        this._renderChart(elements.efficiencyChart, games, game => this.getEfficiency(game.score, game.moves));
+        this._renderDailyCalendar(StorageService.loadDailyResults());
+        this._renderTimedRecords(StorageService.loadTimedRecords());
+        this._renderGamesList(games);
+      } catch (error) {
+        ErrorHandler.handle(error, 'StatisticsService.renderStatistics');
+      }
+    },
+
+    /**
+     * Keeps the games (or rolled-up totals) matching the current filters, in order
+     * @param {Array<Object>} allGames - All saved games, oldest first
+     * @returns {Array<Object>} Matching games
+     */
+    filterGames(allGames) {
+      const { mode, size, policy } = this._filters;
+      return allGames.filter(game =>
+        (mode === 'all' || game.mode === mode) &&
+        (size === 'all' || this._getSize(game) === size) &&
+        (mode !== 'infinity' || policy === 'all' || SpawnService.getGamePolicy(game) === policy)
+      );
+    },
+
+    /**
+     * Score earned per move
+     * @param {number} score - Score
+     * @param {number} moves - Moves
+     * @returns {number} Efficiency, 0 before the first move
+     */
+    getEfficiency(score, moves) {
+      return moves > 0 ? score / moves : 0;
+    },
+
+    /**
+     * Records, totals and averages of a set of games
+     * @param {Array<Object>} games - Games
+     * @param {Array<Object>} [aggregates=[]] - Totals of older, rolled-up games
+     * @returns {Object} Summary
+     */
+    summarize(games, aggregates = []) {
+      const summary = {
+        count: games.length,
+        archived: 0,
+        recordMoves: 0,
+        recordScore: 0,
+        totalMoves: 0,
+        totalScore: 0,
+        bestEfficiency: 0
+      };
+
+      games.forEach(game => {
+        summary.recordMoves = Math.max(summary.recordMoves, game.moves);
+        summary.recordScore = Math.max(summary.recordScore, game.score);
+        summary.totalMoves += game.moves;
+        summary.totalScore += game.score;
+        summary.bestEfficiency = Math.max(summary.bestEfficiency, this.getEfficiency(game.score, game.moves));
+      });
+
+      aggregates.forEach(entry => {
+        summary.count += entry.games;
+        summary.archived += entry.games;
+        summary.recordMoves = Math.max(summary.recordMoves, entry.recordMoves);
+        summary.recordScore = Math.max(summary.recordScore, entry.recordScore);
+        summary.totalMoves += entry.moves;
+        summary.totalScore += entry.score;
+        summary.bestEfficiency = Math.max(summary.bestEfficiency, entry.bestEfficiency);
+      });
+
+      return {
+        ...summary,
+        averageMoves: summary.count > 0 ? summary.totalMoves / summary.count : 0,
+        averageScore: summary.count > 0 ? summary.totalScore / summary.count : 0,
+        efficiency: this.getEfficiency(summary.totalScore, summary.totalMoves)
+      };
+    },
+
+    /**
+     * Quest streaks (levels cleared in a row) and the best run by total score
+     * @param {Array<Object>} games - Games, oldest first
+     * @returns {{current: number, best: number, bestRun: (Object|null)}} Quest summary
+     */
+    getQuestStreaks(games) {
+      let current = 0;
+      let best = 0;
+      let bestRun = null;
+
+      games.filter(game => game.mode === 'quest').forEach(game => {
+        current = game.cleared ? current + 1 : 0;
+        best = Math.max(best, current);
+
+        const run = { moves: game.totalMoves ?? game.moves, score: game.totalScore ?? game.score };
+        if (!bestRun || run.score > bestRun.score || (run.score === bestRun.score && run.moves < bestRun.moves)) {
+          bestRun = run;
+        }
+      });
+
+      return { current, best, bestRun };
+    },
+
+    /**
+     * Rebuilds the mode and size filter buttons
+     * @param {Array<Object>} allGames - All saved games and rolled-up totals
+     * @private
+     */
+    _renderFilters(allGames) {
+      const sizes = new Set(allGames.map(game => this._getSize(game)));
+      if (this._filters.size !== 'all') sizes.add(this._filters.size);
+      const sortedSizes = [...sizes].sort((a, b) => {
+        const [sizeA, sizeB] = [GridService.parseSize(a), GridService.parseSize(b)];
+        return sizeA.rows * sizeA.cols - sizeB.rows * sizeB.cols || sizeA.rows - sizeB.rows;
+      });
+
+      this._renderFilterButtons(elements.statsModeFilters, 'mode', ['all', 'infinity', 'quest']);
+      this._renderFilterButtons(elements.statsSizeFilters, 'size', ['all', ...sortedSizes]);
+      // Spawn policies only tell infinity games apart
+      elements.statsPolicyFilters?.classList.toggle('hidden', this._filters.mode !== 'infinity');
+      this._renderFilterButtons(elements.statsPolicyFilters, 'policy', ['all', ...Object.keys(SPAWN_POLICIES), 'custom']);
+    },
+
+    /**
+     * Fills a row with one button per filter value
+     * @private
+     */
+    _renderFilterButtons(container, name, values) {
+      if (!container) return;
+
+      container.innerHTML = '';
+      values.forEach(value => {
+        const button = document.createElement('button');
+        button.textContent = value;
+        button.classList.toggle('selected', value === this._filters[name]);
+        button.addEventListener('click', ErrorHandler.wrap(() => this.setFilter(name, value), 'statistics.filter'));
+        container.appendChild(button);
+      });
+    },
+
+    /**
+     * Downloads every saved game, rolled-up total and daily result as a .json file.
+     * Imports only read the games and daily results back.
+     * @returns {Promise<void>}
+     */
+    async exportJSON() {
+      try {
+        const data = {
+          version: STATS_EXPORT_VERSION,
+          exportedAt: new Date().toISOString(),
+          games: await StorageService.loadAllGamesStats(),
+          aggregates: StorageService.loadGameAggregates(),
+          dailyResults: StorageService.loadDailyResults()
+        };
+        UIService.downloadFile(`bulb-statistics-${DailyService.getDateKey()}.json`,
+          JSON.stringify(data, null, 2), 'application/json');
+      } catch (error) {
+        ErrorHandler.handle(error, 'StatisticsService.exportJSON');
+      }
+    },
+
+    /**
+     * Downloads every saved game as a .csv file, one row per game
+     * @returns {Promise<void>}
+     */
+    async exportCSV() {
+      try {
+        const rows = (await StorageService.loadAllGamesStats()).map(game =>
+          STATS_CSV_COLUMNS.map(column => this._toCSVField(game[column])).join(','));
+        UIService.downloadFile(`bulb-statistics-${DailyService.getDateKey()}.csv`,
+          [STATS_CSV_COLUMNS.join(','), ...rows].join('\n'), 'text/csv');
+      } catch (error) {
+        ErrorHandler.handle(error, 'StatisticsService.exportCSV');
       }
     },
 
     /**
-     * Hides settings overlay
+     * Imports games from a .json or .csv export, skipping ones already saved
+     * @param {File} file - Chosen file
+     */
+    async importFile(file) {
+      if (!file) return;
+      try {
+        const text = await file.text();
+        const data = /^\s*[[{]/.test(text) ? JSON.parse(text) : { games: this._parseCSV(text) };
+        const games = Array.isArray(data) ? data : data?.games;
+        if (!Array.isArray(games)) throw new Error('no games in this file');
+
+        const { added, duplicates, invalid } = await this.mergeGames(games, data.dailyResults);
+        await this.renderStatistics();
+        this._setStatus(`imported ${added} games, skipped ${duplicates} duplicates` +
+          (invalid > 0 ? ` and ${invalid} invalid entries` : ''));
+      } catch (error) {
+        this._setStatus(error instanceof SyntaxError ? 'not a statistics file' : error.message);
+      }
+    },
+
+    /**
+     * Adds games (and daily results) that aren't saved yet, either one by one
+     * or rolled up into the totals of older games
+     * @param {Array<Object>} games - Imported games; legacy entries are migrated
+     * @param {Object<string, Object>} [dailyResults={}] - Imported daily results by date
+     * @returns {Promise<{added: number, duplicates: number, invalid: number}>} Counts
+     */
+    async mergeGames(games, dailyResults = {}) {
+      const keys = new Set((await StorageService.loadAllGamesStats()).map(game => this._getGameKey(game)));
+      const aggregates = GameStore.loadAggregates();
+      const counts = { added: 0, duplicates: 0, invalid: 0 };
+      const newGames = [];
+
+      games.forEach(entry => {
+        const game = entry && typeof entry === 'object' ? StorageService.migrateGame(entry) : null;
+        if (!GameStore.isValidGame(game)) {
+          counts.invalid++;
+        } else if (keys.has(this._getGameKey(game)) || GameStore.isRolledUp(game, aggregates)) {
+          counts.duplicates++;
+        } else {
+          keys.add(this._getGameKey(game));
+          newGames.push(game);
+          counts.added++;
+        }
+      });
+      await GameStore.addMany(newGames);
+
+      const savedResults = StorageService.loadDailyResults();
+      Object.values(dailyResults ?? {}).forEach(result => {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(result?.date) && !(result.date in savedResults)) {
+          StorageService.saveDailyResult(result);
+        }
+      });
+      return counts;
+    },
+
+    /**
+     * Identifies a game for duplicate detection; undated games match on their results
+     * @private
+     */
+    _getGameKey(game) {
+      return [game.timestamp, game.mode, this._getSize(game), game.moves, game.score].join('|');
+    },
+
+    /**
+     * Reads games from CSV text with a header row
+     * @private
+     * @returns {Array<Object>} Games
+     */
+    _parseCSV(text) {
+      const [header, ...rows] = text.split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(line => this._splitCSVLine(line));
+      if (!header?.includes('timestamp')) throw new Error('not a statistics file');
+
+      return rows.map(cells => {
+        const game = { timestamp: null };
+        header.forEach((column, index) => {
+          const value = this._fromCSVField(cells[index] ?? '');
+          if (value !== undefined) game[column.trim()] = value;
+        });
+        return game;
+      });
+    },
+
+    /**
+     * Splits one CSV line into fields, honouring double quotes
+     * @private
      */
-    hideSettings() {
-      if (elements.settingsContainer && elements.gameContainer) {
-        elements.settingsContainer.classList.add('hidden');
-        elements.gameContainer.classList.remove('hidden');
-        this.hideGameOverPopup(); // Ensure popup is hidden
+    _splitCSVLine(line) {
+      const cells = [''];
+      let quoted = false;
+
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted && char === '"' && line[i + 1] === '"') {
+          cells[cells.length - 1] += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+          cells.push('');
+        } else {
+          cells[cells.length - 1] += char;
+        }
       }
+      return cells;
     },
 
     /**
-     * Shows tutorial overlay
+     * Writes a value as a CSV field
+     * @private
      */
-    showTutorial() {
-      state.isOverlayActive = true;
-      
-      if (elements.gameContainer) elements.gameContainer.classList.add('hidden');
-      if (elements.settingsContainer) elements.settingsContainer.classList.add('hidden');
-      if (elements.tutorialContainer) elements.tutorialContainer.classList.remove('hidden');
-      
-      TutorialService.resetTutorialGrid();
+    _toCSVField(value) {
+      if (value === undefined || value === null) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     },
 
     /**
-     * Hides tutorial overlay
+     * Reads a CSV field back into a number, boolean or string; empty fields are dropped
+     * @private
      */
-    hideTutorial() {
-      state.isOverlayActive = false;
-      
-      if (elements.tutorialContainer) elements.tutorialContainer.classList.add('hidden');
-      if (elements.gameContainer) elements.gameContainer.classList.remove('hidden');
+    _fromCSVField(text) {
+      if (text === '') return undefined;
+      if (text === 'true' || text === 'false') return text === 'true';
+      return /^-?\d+$/.test(text) ? Number(text) : text;
     },
 
     /**
-     * Shows statistics overlay and renders statistics.
+     * Shows a message under the import and export buttons
+     * @private
      */
-    showStatistics() {
-      if (elements.gameContainer && elements.statisticsContainer) {
-        elements.gameContainer.classList.add('hidden');
-        elements.settingsContainer.classList.add('hidden'); // Ensure settings are hidden
-        elements.statisticsContainer.classList.remove('hidden');
-        StatisticsService.renderStatistics();
-        state.isOverlayActive = true;
-      }
+    _setStatus(message) {
+      if (elements.statsStatus) elements.statsStatus.textContent = message;
     },
 
     /**
-     * Hides statistics overlay.
+     * Formats when a game was played in the player's locale
+     * @private
      */
-    hideStatistics() {
-      if (elements.statisticsContainer && elements.gameContainer) {
-        elements.statisticsContainer.classList.add('hidden');
-        elements.gameContainer.classList.remove('hidden');
-        state.isOverlayActive = false;
-        this.hideGameOverPopup(); // Ensure popup is hidden
-      }
+    _formatTime(game) {
+      if (game.timestamp) return new Date(game.timestamp).toLocaleString();
+      return game.date ? `${game.date} ${game.time}` : 'unknown date';
     },
 
     /**
-     * Hides game over popup
+     * Gets the 'RxC' board size of a saved game
+     * @private
      */
-    hideGameOverPopup() {
-      if (elements.gameOverPopup) {
-        elements.gameOverPopup.classList.add('hidden');
-      }
+    _getSize(game) {
+      return GridService.formatSize(game.rows ?? game.size, game.cols ?? game.size);
     },
 
     /**
-     * Shows game over popup
-     * @param {string} message - Message to display
+     * Renders daily streaks and a calendar of the last weeks' daily results.
+     * @param {Object<string, Object>} dailyResults - Results keyed by date.
+     * @private
      */
-    showGameOverPopup(message) {
-      if (elements.gameOverPopup) {
-        const popupMessage = elements.gameOverPopup.querySelector('p');
-        if (popupMessage) {
-          popupMessage.textContent = message;
-        }
-        elements.gameOverPopup.classList.remove('hidden');
+    _renderDailyCalendar(dailyResults) {
+      const { current, best } = DailyService.getStreaks(dailyResults);
+      if (elements.dailyCurrentStreak) elements.dailyCurrentStreak.textContent = current;
+      if (elements.dailyBestStreak) elements.dailyBestStreak.textContent = best;
+
+      if (!elements.dailyCalendar) return;
+      elements.dailyCalendar.innerHTML = '';
+
+      ['m', 't', 'w', 't', 'f', 's', 's'].forEach(label => {
+        const header = document.createElement('div');
+        header.className = 'daily-day daily-header';
+        header.textContent = label;
+        elements.dailyCalendar.appendChild(header);
+      });
+
+      // Weeks start on Monday; the last row holds the current week
+      const today = DailyService.getDateKey();
+      const weekday = (new Date().getDay() + 6) % 7;
+      const firstDate = DailyService.shiftDateKey(today, -weekday - (DAILY_CALENDAR_WEEKS - 1) * 7);
+
+      for (let i = 0; i < DAILY_CALENDAR_WEEKS * 7; i++) {
+        const date = DailyService.shiftDateKey(firstDate, i);
+        const result = dailyResults[date];
+        const day = document.createElement('div');
+
+        day.className = 'daily-day';
+        day.textContent = Number(date.slice(-2));
+        day.title = result ?
+          `${date}: ${result.solved ? 'solved' : 'failed'} / Moves: ${result.moves} / Score: ${result.score}` :
+          date;
+        if (result) day.classList.add(result.solved ? 'solved' : 'failed');
+        if (date === today) day.classList.add('today');
+        if (date > today) day.classList.add('future');
+
+        elements.dailyCalendar.appendChild(day);
       }
     },
 
     /**
-     * Hides quest win popup
+     * Updates summary statistics (records, totals, averages) in the DOM.
+     * @param {Array<Object>} games - Games matching the filters.
+     * @param {Array<Object>} aggregates - Rolled-up totals matching the filters.
+     * @private
      */
-    hideQuestWinPopup() {
-      if (elements.questWinPopup) {
-        elements.questWinPopup.classList.add('hidden');
+    _updateSummaryStats(games, aggregates) {
+      const summary = this.summarize(games, aggregates);
+      const values = {
+        statsGamesCount: summary.count,
+        recordMoves: summary.recordMoves,
+        recordScore: summary.recordScore,
+        totalMoves: summary.totalMoves,
+        totalScore: summary.totalScore,
+        averageMoves: summary.averageMoves.toFixed(1),
+        averageScore: summary.averageScore.toFixed(1),
+        statsEfficiency: summary.efficiency.toFixed(2),
+        statsBestEfficiency: summary.bestEfficiency.toFixed(2)
+      };
+
+      Object.entries(values).forEach(([id, value]) => {
+        if (elements[id]) elements[id].textContent = value;
+      });
+
+      if (elements.statsArchived) {
+        elements.statsArchived.textContent = summary.archived > 0 ?
+          `${summary.archived} older games are kept as totals only` : '';
       }
     },
 
     /**
-     * Shows quest win popup
-     * @param {number} moves - Moves made in the quest level
-     * @param {number} score - Score obtained in the quest level
+     * Updates quest streaks and best run, hidden when no quest games match.
+     * @param {Array<Object>} games - Games matching the filters.
+     * @private
      */
-    showQuestWinPopup(moves, score) {
-      if (elements.questWinPopup) {
-        if (elements.winMoves) elements.winMoves.textContent = moves;
-        if (elements.winScore) elements.winScore.textContent = score;
-        elements.questWinPopup.classList.remove('hidden');
+    _updateQuestStats(games) {
+      const { current, best, bestRun } = this.getQuestStreaks(games);
+      elements.questStats?.classList.toggle('hidden', !bestRun);
+      if (!bestRun) return;
+
+      if (elements.questCurrentStreak) elements.questCurrentStreak.textContent = current;
+      if (elements.questBestStreak) elements.questBestStreak.textContent = best;
+      if (elements.questBestRun) {
+        elements.questBestRun.textContent = `${bestRun.score} in ${bestRun.moves} moves`;
       }
     },
 
     /**
-     * Highlights currently selected grid size
+     * Lists the best timed results, hidden before the first timed game ends.
+     * @param {Object<string, Object>} records - Best results by kind (see TimerService.getRecordKey).
+     * @private
      */
-    highlightCurrentSize() {
-      const sizeSquares = document.querySelectorAll('.size-square');
-      sizeSquares.forEach(square => {
-        const squareSize = parseInt(square.dataset.size, 10);
-        if (squareSize === state.size) {
-          square.classList.add('selected');
-          state.selectedSize = state.size;
-        } else {
-          square.classList.remove('selected');
+    _renderTimedRecords(records) {
+      const entries = Object.entries(records).sort(([a], [b]) => a.localeCompare(b));
+      elements.timedStats?.classList.toggle('hidden', entries.length === 0);
+      if (!elements.timedRecords) return;
+
+      elements.timedRecords.innerHTML = '';
+      entries.forEach(([key, record]) => {
+        const [variant, size, levels] = key.split(':');
+        const item = document.createElement('li');
+        item.textContent = variant === 'score' ?
+          `score rush ${size}: ${record.score} points` :
+          `speedrun ${size}, ${levels} levels: ${TimerService.formatTime(record.time)}`;
+        if (Array.isArray(record.splits)) {
+          item.title = record.splits.map(split => TimerService.formatTime(split)).join(' / ');
         }
+        elements.timedRecords.appendChild(item);
       });
-    }
-  };
+    },
 
-  // === Statistics Service ===
-  const StatisticsService = {
     /**
-     * Calculates and renders all statistics to the DOM.
+     * Draws a line chart of one value over the latest games as inline SVG.
+     * @param {SVGElement} svg - Chart element.
+     * @param {Array<Object>} games - Games, oldest first.
+     * @param {Function} getValue - Reads the charted value from a game.
+     * @private
      */
-    renderStatistics() {
-      const allGames = StorageService.loadAllGamesStats();
-      this._updateSummaryStats(allGames);
-      this._renderGamesList(allGames);
+    _renderChart(svg, games, getValue) {
+      if (!svg) return;
+
+      const { WIDTH, HEIGHT, PADDING } = STATS_CHART_SIZE;
+      svg.innerHTML = '';
+      svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+
+      const latest = games.slice(-STATS_CHART_POINTS);
+      if (latest.length === 0) return;
+
+      const values = latest.map(getValue);
+      const max = Math.max(...values) || 1;
+      const step = latest.length > 1 ? (WIDTH - 2 * PADDING) / (latest.length - 1) : 0;
+      const points = values.map((value, i) => [
+        latest.length > 1 ? PADDING + i * step : WIDTH / 2,
+        HEIGHT - PADDING - (value / max) * (HEIGHT - 2 * PADDING)
+      ]);
+
+      this._appendSvg(svg, 'line', {
+        class: 'chart-axis', x1: PADDING, y1: HEIGHT - PADDING, x2: WIDTH - PADDING, y2: HEIGHT - PADDING
+      });
+      this._appendSvg(svg, 'polyline', {
+        class: 'chart-line',
+        points: points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')
+      });
+      points.forEach(([x, y], i) => {
+        const dot = this._appendSvg(svg, 'circle', { class: 'chart-dot', cx: x.toFixed(1), cy: y.toFixed(1), r: 2 });
+        const title = this._appendSvg(dot, 'title', {});
+        title.textContent = `${this._formatTime(latest[i])}: ${Number(values[i].toFixed(2))}`;
+      });
+
+      const label = this._appendSvg(svg, 'text', { class: 'chart-label', x: 2, y: PADDING - 2 });
+      label.textContent = `max ${Number(max.toFixed(2))}`;
     },
 
     /**
-     * Updates summary statistics (records, totals) in the DOM.
-     * @param {Array<Object>} allGames - Array of all game statistics.
+     * Creates an SVG element with attributes and appends it.
      * @private
+     * @returns {SVGElement} Created element.
      */
-    _updateSummaryStats(allGames) {
-      let recordMoves = 0;
-      let recordScore = 0;
-      let totalMoves = 0;
-      let totalScore = 0;
-
-      allGames.forEach(game => {
-        recordMoves = Math.max(recordMoves, game.moves);
-        recordScore = Math.max(recordScore, game.score);
-        totalMoves += game.moves;
-        totalScore += game.score;
-      });
-
-      if (elements.recordMoves) elements.recordMoves.textContent = recordMoves;
-      if (elements.recordScore) elements.recordScore.textContent = recordScore;
-      if (elements.totalMoves) elements.totalMoves.textContent = totalMoves;
-      if (elements.totalScore) elements.totalScore.textContent = totalScore;
+    _appendSvg(parent, tag, attributes) {
+      const node = document.createElementNS('http://www.w3.org/2000/svg', tag);
+      Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+      parent.appendChild(node);
+      return node;
     },
 
     /**
-     * Renders the list of all games to the DOM.
-     * @param {Array<Object>} allGames - Array of all game statistics.
+     * Renders the list of games to the DOM, newest first.
+     * @param {Array<Object>} games - Games matching the filters.
      * @private
      */
-    _renderGamesList(allGames) {
+    _renderGamesList(games) {
       if (!elements.gamesList) return;
 
       elements.gamesList.innerHTML = ''; // Clear previous list
 
-      if (allGames.length === 0) {
+      if (games.length === 0) {
         elements.gamesList.innerHTML = '<li>no data yet...</li>';
         return;
       }
-      allGames.sort((a, b) => new Date(`${b.date} ${b.time}`) - new Date(`${a.date} ${a.time}`)); // Sort by date/time
+      const sorted = [...games].sort((a, b) => (b.timestamp ?? '').localeCompare(a.timestamp ?? '')); // Newest first
       
-      allGames.forEach(game => {
+      sorted.forEach(game => {
         const listItem = document.createElement('li');
+        const size = this._getSize(game);
+        const policy = SpawnService.getGamePolicy(game);
         listItem.textContent = 
-          `${game.date} ${game.time} / ${game.size}x${game.size} / Moves: ${game.moves} / Score: ${game.score} / Mode: ${game.mode}`;
+          `${this._formatTime(game)} / ${size} / Moves: ${game.moves} / Score: ${game.score} / Mode: ${game.mode}` +
+          (policy ? ` (${policy})` : '');
+
+        if (game.recording) {
+          const watchBtn = document.createElement('button');
+          watchBtn.className = 'watch-button';
+          watchBtn.textContent = 'watch';
+          watchBtn.addEventListener('click', ErrorHandler.wrap(
+            () => ReplayService.start(game.recording), 'replay.watch'
+          ));
+          listItem.appendChild(watchBtn);
+        }
         elements.gamesList.appendChild(listItem);
       });
     },
 
     /**
      * Handles clearing all statistics.
+     * @returns {Promise<void>}
      */
-    clearStatistics() {
+    async clearStatistics() {
       if (confirm('Вы уверены, что хотите удалить всю статистику?')) {
-        StorageService.clearAllGamesStats();
-        this.renderStatistics(); // Re-render to show empty state
+        await StorageService.clearAllGamesStats();
+        await this.renderStatistics(); // Re-render to show empty state
       }
     }
   };
@@ -1381,13 +6502,22 @@ const BulbGame = (() => {
   // === Game Setup ===
   const GameSetup = {
     /**
-     * Initializes the game
+     * Initializes the game once stored data is migrated and the game history store is open
+     * @returns {Promise<void>}
      */
-    init() {
+    async init() {
       this.cacheElements();
+      await StorageService.init();
       this.setupEventListeners();
       StorageService.loadState();
-      this.createGrid();
+      if (!SessionService.resume()) {
+        RandomService.reseed();
+        TimerService.reset();
+        this.createGrid();
+      }
+      if (StorageService.getRecoveries().length > 0) {
+        UIService.showHint(null, 'some saved data was damaged; what could be read was kept');
+      }
     },
 
     /**
@@ -1402,7 +6532,33 @@ const BulbGame = (() => {
         'gameOverPopup', 'tryAgainBtn', 'tryAnotherBtn', 'gameModeToggleBtn',
         'questWinPopup', 'winMoves', 'winScore', 'nextQuestLevelBtn',
         'infinityScoreDisplay', 'questScoreDisplay', // Новые контейнеры
-        'levelMoves', 'totalMovesDisplay', 'levelScore', 'totalScoreDisplay' // Новые счетчики для quest mode
+        'levelMoves', 'totalMovesDisplay', 'levelScore', 'totalScoreDisplay', // Новые счетчики для quest mode
+        'seedDisplay', 'seedInput', 'playSeedBtn',
+        'dailyBtn', 'dailyCalendar', 'dailyCurrentStreak', 'dailyBestStreak',
+        'hintBtn', 'hintMessage',
+        'levelPar', 'winPar', 'winParRow', 'levelParLabel', 'winParLabel',
+        'levelDifficulty', 'levelDifficultyRow',
+        'replayControls', 'replayStatus', 'replayBackBtn', 'replayPlayBtn',
+        'replayForwardBtn', 'replaySpeedBtn', 'replayExitBtn',
+        'redoBtn', 'historyBranches', 'customRowsInput', 'customColsInput',
+        'editorBtn', 'editorContainer', 'editorRowsInput', 'editorColsInput', 'editorPalette',
+        'editorBoard', 'editorStatus', 'editorClearBtn', 'editorValidateBtn', 'editorPlayBtn',
+        'levelCodeInput', 'exportCodeBtn', 'importCodeBtn', 'exportFileBtn', 'importFileBtn',
+        'levelFileInput', 'backFromEditorBtn',
+        'levelsBtn', 'packsContainer', 'packTabs', 'levelList', 'packsStatus', 'importPackBtn',
+        'packFileInput', 'backFromPacksBtn', 'winStars', 'winStarsRow',
+        'statsModeFilters', 'statsSizeFilters', 'statsGamesCount', 'averageMoves', 'averageScore',
+        'statsEfficiency', 'statsBestEfficiency', 'questStats', 'questCurrentStreak',
+        'questBestStreak', 'questBestRun', 'scoreChart', 'efficiencyChart',
+        'exportStatsJsonBtn', 'exportStatsCsvBtn', 'importStatsBtn', 'statsFileInput', 'statsStatus',
+        'statsArchived', 'achievementsBtn', 'achievementsContainer', 'achievementList',
+        'achievementsSummary', 'backFromAchievementsBtn', 'achievementToasts',
+        'keysBtn', 'keysContainer', 'keyBindingList', 'keyPresets', 'keysStatus', 'resetKeysBtn',
+        'backFromKeysBtn', 'moveQueue', 'moveQueueInput', 'skipAnimationsToggle',
+        'game', 'dragArrowToggle', 'timedToggleBtn', 'speedrunLevelsInput', 'timerDisplay',
+        'timerValue', 'timerProgress', 'spawnPolicyOptions', 'customSpawnOptions', 'spawnRateInput',
+        'spawnThresholdInput', 'spawnBigShareInput', 'statsPolicyFilters', 'spawnPreview', 'spawnPreviewTiles', 'objectiveDisplay', 'objectiveGoal', 'objectiveProgress', 'objectiveMovesLeft', 'winTime', 'winTimeRow', 'timedStats', 'timedRecords',
+        'moveAnnouncer'
       ];
       
       elementIds.forEach(id => {
@@ -1414,22 +6570,64 @@ const BulbGame = (() => {
      * Sets up all event listeners
      */
     setupEventListeners() {
+      window.addEventListener('pagehide', ErrorHandler.wrap(() => SessionService.save(), 'pagehide'));
+      document.addEventListener('visibilitychange', ErrorHandler.wrap(() => TimerService.handleVisibilityChange(), 'visibilitychange'));
+
       // Game controls
       window.addEventListener('keydown', ErrorHandler.wrap(this.handleKeyDown.bind(this), 'keydown'));
-      window.addEventListener('touchstart', ErrorHandler.wrap(this.handleTouchStart.bind(this), 'touchstart'));
-      window.addEventListener('touchend', ErrorHandler.wrap(this.handleTouchEnd.bind(this), 'touchend'));
+      window.addEventListener('gamepadconnected', ErrorHandler.wrap(() => InputService.startGamepadPolling(), 'gamepad'));
+      if (elements.game) {
+        elements.game.addEventListener('pointerdown', ErrorHandler.wrap(this.handlePointerDown.bind(this), 'pointerdown'));
+        elements.game.addEventListener('pointermove', ErrorHandler.wrap(this.handlePointerMove.bind(this), 'pointermove'));
+        elements.game.addEventListener('pointerup', ErrorHandler.wrap(this.handlePointerUp.bind(this), 'pointerup'));
+        elements.game.addEventListener('pointercancel', ErrorHandler.wrap(this.handlePointerCancel.bind(this), 'pointercancel'));
+        elements.game.addEventListener('keydown', ErrorHandler.wrap(e => AccessibilityService.handleBoardKey(e), 'boardKeydown'));
+        elements.game.addEventListener('focusin', ErrorHandler.wrap(e => AccessibilityService.handleBoardFocus(e), 'boardFocus'));
+      }
+      [elements.gameOverPopup, elements.questWinPopup].forEach(popup => {
+        popup?.addEventListener('keydown', ErrorHandler.wrap(e => AccessibilityService.trapFocus(e), 'popupKeydown'));
+      });
       
       // Button events with error handling
       const buttonEvents = [
         ['restartBtn', () => GameLogic.restart()],
         ['undoBtn', this.handleUndoClick.bind(this)],
+        ['redoBtn', () => GameLogic.redo()],
+        ['editorBtn', () => EditorService.open()],
+        ['backFromEditorBtn', () => EditorService.close()],
+        ['editorClearBtn', () => EditorService.clear()],
+        ['editorValidateBtn', () => EditorService.validate()],
+        ['editorPlayBtn', () => EditorService.testPlay()],
+        ['exportCodeBtn', () => EditorService.exportCode()],
+        ['importCodeBtn', () => EditorService.importCode()],
+        ['exportFileBtn', () => EditorService.exportFile()],
+        ['importFileBtn', () => elements.levelFileInput?.click()],
+        ['levelsBtn', () => PackService.open()],
+        ['backFromPacksBtn', () => PackService.close()],
+        ['achievementsBtn', () => AchievementService.open()],
+        ['backFromAchievementsBtn', () => AchievementService.close()],
+        ['keysBtn', () => InputService.openHelp()],
+        ['backFromKeysBtn', () => InputService.closeHelp()],
+        ['resetKeysBtn', () => InputService.resetBindings()],
+        ['importPackBtn', () => elements.packFileInput?.click()],
         ['saveSettingsBtn', this.handleSaveSettings.bind(this)],
         ['statisticsBtn', () => UIService.showStatistics()],
         ['backFromStatisticsBtn', () => UIService.hideStatistics()],
         ['clearStatisticsBtn', () => StatisticsService.clearStatistics()],
+        ['exportStatsJsonBtn', () => StatisticsService.exportJSON()],
+        ['exportStatsCsvBtn', () => StatisticsService.exportCSV()],
+        ['importStatsBtn', () => elements.statsFileInput?.click()],
         ['tryAgainBtn', () => GameLogic.tryAgainQuestMode()],
         ['tryAnotherBtn', () => GameLogic.tryAnotherQuestMode()],
-        ['nextQuestLevelBtn', () => GameLogic.startNextQuestLevel()] // New
+        ['nextQuestLevelBtn', () => GameLogic.startNextQuestLevel()], // New
+        ['playSeedBtn', this.handlePlaySeed.bind(this)],
+        ['dailyBtn', this.handleDailyClick.bind(this)],
+        ['hintBtn', () => HintService.showHint()],
+        ['replayBackBtn', () => ReplayService.step(-1)],
+        ['replayPlayBtn', () => ReplayService.togglePlay()],
+        ['replayForwardBtn', () => ReplayService.step(1)],
+        ['replaySpeedBtn', () => ReplayService.cycleSpeed()],
+        ['replayExitBtn', () => ReplayService.exit()]
       ];
       
       buttonEvents.forEach(([id, handler]) => {
@@ -1464,6 +6662,43 @@ const BulbGame = (() => {
         }, 'values.toggle'));
       }
 
+      // Move queue options
+      if (elements.moveQueueInput) {
+        elements.moveQueueInput.min = 0;
+        elements.moveQueueInput.max = MOVE_QUEUE.MAX_DEPTH;
+        elements.moveQueueInput.addEventListener('input', ErrorHandler.wrap(() => {
+          const depth = Number(elements.moveQueueInput.value);
+          if (!Number.isInteger(depth) || depth < 0 || depth > MOVE_QUEUE.MAX_DEPTH) return;
+          state.moveQueueDepth = depth;
+          StorageService.saveState();
+        }, 'moveQueue.depth'));
+      }
+
+      if (elements.skipAnimationsToggle) {
+        elements.skipAnimationsToggle.addEventListener('change', ErrorHandler.wrap(() => {
+          state.skipQueuedAnimations = elements.skipAnimationsToggle.checked;
+          StorageService.saveState();
+        }, 'moveQueue.skipAnimations'));
+      }
+
+      if (elements.speedrunLevelsInput) {
+        elements.speedrunLevelsInput.min = 1;
+        elements.speedrunLevelsInput.max = TIMED.MAX_SPEEDRUN_LEVELS;
+        elements.speedrunLevelsInput.addEventListener('input', ErrorHandler.wrap(() => {
+          const levels = Number(elements.speedrunLevelsInput.value);
+          if (!Number.isInteger(levels) || levels < 1 || levels > TIMED.MAX_SPEEDRUN_LEVELS) return;
+          state.speedrunLevels = levels; // counts from the next speedrun on
+          StorageService.saveState();
+        }, 'speedrun.levels'));
+      }
+
+      if (elements.dragArrowToggle) {
+        elements.dragArrowToggle.addEventListener('change', ErrorHandler.wrap(() => {
+          state.showDragArrow = elements.dragArrowToggle.checked;
+          StorageService.saveState();
+        }, 'dragArrow.toggle'));
+      }
+
       // Game mode toggle
       if (elements.gameModeToggleBtn) {
         elements.gameModeToggleBtn.addEventListener('change', ErrorHandler.wrap(() => {
@@ -1473,8 +6708,12 @@ const BulbGame = (() => {
         }, 'gameMode.toggle'));
       }
       
-      // Size selection
+      // Size and difficulty selection
       this.setupSizeSelection();
+      this.setupDifficultySelection();
+      this.setupSpawnPolicySelection();
+      this.setupEditor();
+      this.setupStatistics();
       
       // Tutorial events
       const tutorialBtn = document.getElementById('tutorialBtn');
@@ -1496,76 +6735,262 @@ const BulbGame = (() => {
       const sizeSquares = document.querySelectorAll('.size-square');
       sizeSquares.forEach(square => {
         square.addEventListener('click', ErrorHandler.wrap(() => {
-          sizeSquares.forEach(sq => sq.classList.remove('selected'));
-          square.classList.add('selected');
-          state.selectedSize = parseInt(square.dataset.size, 10);
+          state.selectedRows = state.selectedCols = parseInt(square.dataset.size, 10);
+          UIService.highlightSelectedSize();
         }, 'size.selection'));
       });
+
+      // Custom rows x columns; only sizes within BOARD_SIDE_LIMITS are taken
+      [elements.customRowsInput, elements.customColsInput].forEach(input => {
+        if (!input) return;
+        input.min = BOARD_SIDE_LIMITS.MIN;
+        input.max = BOARD_SIDE_LIMITS.MAX;
+        input.addEventListener('input', ErrorHandler.wrap(() => {
+          const size = GridService.parseSize(
+            `${elements.customRowsInput.value}x${elements.customColsInput.value}`
+          );
+          if (!size) return;
+          state.selectedRows = size.rows;
+          state.selectedCols = size.cols;
+          UIService.highlightSelectedSize(false);
+        }, 'size.custom'));
+      });
+    },
+
+    /**
+     * Sets up difficulty selection event listeners
+     */
+    setupDifficultySelection() {
+      const difficultySquares = document.querySelectorAll('.difficulty-square');
+      difficultySquares.forEach(square => {
+        square.addEventListener('click', ErrorHandler.wrap(() => {
+          difficultySquares.forEach(sq => sq.classList.remove('selected'));
+          square.classList.add('selected');
+          state.selectedDifficulty = square.dataset.difficulty;
+        }, 'difficulty.selection'));
+      });
+    },
+
+    /**
+     * Sets up infinity spawn policy buttons and custom policy inputs
+     */
+    setupSpawnPolicySelection() {
+      elements.spawnPolicyOptions?.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', ErrorHandler.wrap(() => SpawnService.select(button.dataset.policy), 'spawnPolicy.select'));
+      });
+      [
+        [elements.spawnRateInput, CUSTOM_SPAWN_LIMITS.rate],
+        [elements.spawnThresholdInput, CUSTOM_SPAWN_LIMITS.threshold],
+        [elements.spawnBigShareInput, CUSTOM_SPAWN_LIMITS.bigShare]
+      ].forEach(([input, [min, max]]) => {
+        if (!input) return;
+        input.min = min;
+        input.max = max;
+      });
+    },
+
+    /**
+     * Sets up level editor and level pack inputs that are not plain buttons
+     */
+    setupEditor() {
+      [elements.editorRowsInput, elements.editorColsInput].forEach(input => {
+        if (!input) return;
+        input.min = BOARD_SIDE_LIMITS.MIN;
+        input.max = BOARD_SIDE_LIMITS.MAX;
+        input.addEventListener('input', ErrorHandler.wrap(() => {
+          const size = GridService.parseSize(
+            `${elements.editorRowsInput.value}x${elements.editorColsInput.value}`
+          );
+          if (size) EditorService.resize(size.rows, size.cols);
+        }, 'editor.size'));
+      });
+
+      if (elements.levelFileInput) {
+        elements.levelFileInput.addEventListener('change', ErrorHandler.wrap(async () => {
+          await EditorService.importFile(elements.levelFileInput.files[0]);
+          elements.levelFileInput.value = ''; // allow picking the same file again
+        }, 'editor.file'));
+      }
+
+      if (elements.packFileInput) {
+        elements.packFileInput.addEventListener('change', ErrorHandler.wrap(async () => {
+          await PackService.importFile(elements.packFileInput.files[0]);
+          elements.packFileInput.value = '';
+        }, 'packs.file'));
+      }
+    },
+
+    /**
+     * Sets up the statistics import file input
+     */
+    setupStatistics() {
+      if (!elements.statsFileInput) return;
+
+      elements.statsFileInput.addEventListener('change', ErrorHandler.wrap(async () => {
+        await StatisticsService.importFile(elements.statsFileInput.files[0]);
+        elements.statsFileInput.value = '';
+      }, 'statistics.file'));
     },
 
     /**
      * Creates and initializes game grid
      */
     createGrid() {
+      AnimationService.cancelPlayback();
       // Reset only grid, history, disappear, and processing state
       Object.assign(state, {
-        grid: GridService.createEmptyGrid(state.size),
-        history: [],
+        grid: GridService.createEmptyGrid(state.rows, state.cols),
+        history: null,
         disappear: {},
-        isProcessing: false
+        isProcessing: false,
+        isGenerating: false,
+        generationId: state.generationId + 1,
+        par: null,
+        parBestKnown: false,
+        levelDifficulty: null,
+        spawnQueue: []
+      });
+      StorageService.clearCurrentGame(); // the old game is over; the new one is saved once ready
+
+      if (!this.buildBoard(state.rows, state.cols)) return;
+
+      if (state.gameMode === 'quest') {
+        this.generateQuestLevel();
+        return;
+      }
+
+      this.placeInitialTiles();
+      SpawnService.resetQueue(); // drawn after the tiles, so a seed still gives the same board
+      RecordingService.start();
+      HistoryService.reset();
+      PerformanceUtils.batchUpdate(() => UIService.render());
+      HintService.refresh();
+      SessionService.save();
+    },
+
+    /**
+     * Starts a quest level on a given board instead of a generated one
+     * @param {Array<Array<number|null>>} grid - Starting board
+     * @param {number|null} par - Known par, if any
+     * @param {boolean} [parBestKnown=false] - Par is only the best known, not a proven minimum
+     */
+    loadLevel(grid, par, parBestKnown = false) {
+      AnimationService.cancelPlayback();
+      Object.assign(state, {
+        grid: GridService.cloneGrid(grid),
+        initialGrid: GridService.cloneGrid(grid),
+        history: null,
+        disappear: {},
+        isProcessing: false,
+        isGenerating: false,
+        generationId: state.generationId + 1, // drops a level still being generated
+        par: par ?? null,
+        parBestKnown: par != null && parBestKnown,
+        levelDifficulty: null
       });
+      if (!this.buildBoard(state.rows, state.cols)) return;
 
+      SpawnService.resetQueue();
+      RecordingService.start();
+      HistoryService.reset();
+      PerformanceUtils.batchUpdate(() => UIService.render());
+      HintService.refresh();
+      SessionService.save();
+    },
+
+    /**
+     * Builds the board's cell elements
+     * @param {number} rows - Row count
+     * @param {number} [cols=rows] - Column count
+     * @returns {boolean} False if the board element is missing
+     */
+    buildBoard(rows, cols = rows) {
       const gameField = document.getElementById('game');
-      if (!gameField) return;
+      if (!gameField) return false;
       
+      const hadFocus = gameField.contains(document.activeElement);
       gameField.innerHTML = '';
       gameField.style.display = 'grid';
-      gameField.style.gridTemplateColumns = `repeat(${state.size}, 1fr)`;
-      gameField.style.gridTemplateRows = `repeat(${state.size}, 1fr)`;
-
-      // Create grid cells
-      for (let r = 0; r < state.size; r++) {
-        for (let c = 0; c < state.size; c++) {
+      gameField.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+      gameField.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
+      // The board keeps square cells: its longer side gets the full width (see style.css)
+      gameField.style.setProperty('--rows', rows);
+      gameField.style.setProperty('--cols', cols);
+      gameField.style.setProperty('--span', Math.max(rows, cols));
+
+      // Create grid cells, one ARIA row at a time (rows don't affect the layout, see style.css)
+      for (let r = 0; r < rows; r++) {
+        const row = document.createElement('div');
+        row.className = 'board-row';
+        row.setAttribute('role', 'row');
+        for (let c = 0; c < cols; c++) {
           const cell = document.createElement('div');
           cell.className = 'cell';
           cell.id = `cell-${r}-${c}`;
-          gameField.appendChild(cell);
+          cell.setAttribute('role', 'gridcell');
+          cell.setAttribute('tabindex', '-1');
+          row.appendChild(cell);
         }
+        gameField.appendChild(row);
       }
+      AccessibilityService.resetFocus(rows, cols, hadFocus);
+      return true;
+    },
 
-      this.placeInitialTiles();
-      // Save initial grid for Quest mode "Try Again" functionality
-      if (state.gameMode === 'quest') {
-        state.initialGrid = GridService.cloneGrid(state.grid);
+    /**
+     * Fills the grid with a generated quest level that the solver has proven
+     * clearable, picked for the current difficulty. Another seed is tried when
+     * one yields nothing; if none does, the board stays empty and locked until
+     * the player restarts, since an unproven board is never handed out.
+     */
+    async generateQuestLevel() {
+      const { generationId } = state;
+      const difficulty = state.daily ? DAILY_DIFFICULTY : state.difficulty;
+
+      state.isGenerating = true;
+      UIService.showHint(null, 'generating level...');
+      PerformanceUtils.batchUpdate(() => UIService.render());
+
+      let level = null;
+      for (let attempt = 0; attempt < QUEST_GENERATION_ATTEMPTS && !level; attempt++) {
+        const seed = Math.floor(RandomService.next() * 2 ** 32).toString(36);
+        level = await SolverService.generate({
+          rows: state.rows,
+          cols: state.cols,
+          tiles: GridService.getInitialTiles(),
+          special: GridService.getSpecialCells(difficulty),
+          seed,
+          difficulty
+        });
+        if (generationId !== state.generationId) return; // superseded by a newer grid
+      }
+
+      if (!level) {
+        UIService.showHint(null, "couldn't generate a solvable level, restart to try again");
+        return;
       }
+
+      state.isGenerating = false;
+      state.grid = GridService.cloneGrid(level.board);
+      state.par = level.par;
+      state.parBestKnown = !level.optimal;
+      state.levelDifficulty = level.difficulty;
+      HintService.prime(level.board, level.path);
+
+      // Save initial grid for Quest mode "Try Again" functionality
+      state.initialGrid = GridService.cloneGrid(state.grid);
+      RecordingService.start();
+      HistoryService.reset();
       PerformanceUtils.batchUpdate(() => UIService.render());
+      HintService.refresh();
+      SessionService.save();
     },
 
     /**
      * Places initial tiles on the grid
      */
     placeInitialTiles() {
-      const positions = [];
-      for (let r = 0; r < state.size; r++) {
-        for (let c = 0; c < state.size; c++) {
-          positions.push([r, c]);
-        }
-      }
-      
-      // Shuffle positions for random placement
-      for (let i = positions.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [positions[i], positions[j]] = [positions[j], positions[i]];
-      }
-
-      const initialTiles = INITIAL_TILES[state.size] || [64, 32, 16];
-      
-      initialTiles.forEach((value, index) => {
-        if (index < positions.length) {
-          const [r, c] = positions[index];
-          state.grid[r][c] = value;
-        }
-      });
+      state.grid = BulbEngine.Board.placeTiles(state.grid, GridService.getInitialTiles(), RandomService.source());
     },
 
     // === Event Handlers ===
@@ -1575,57 +7000,75 @@ const BulbGame = (() => {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyDown(e) {
-      if (Object.keys(DIRECTION_DELTAS).includes(e.key)) {
-        e.preventDefault();
-        GameLogic.move(e.key);
-      }
+      InputService.handleKey(e);
     },
 
     /**
-     * Handles touch start for swipe detection
-     * @param {TouchEvent} e - Touch event
+     * Starts tracking a drag on the board (touch, pen or left mouse button)
+     * @param {PointerEvent} e - Pointer event
      */
-    handleTouchStart(e) {
-      if (e.touches.length === 1) {
-        state.touchStartX = e.touches[0].clientX;
-        state.touchStartY = e.touches[0].clientY;
-      }
+    handlePointerDown(e) {
+      if (state.drag || !e.isPrimary || e.button !== 0) return;
+
+      state.drag = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, direction: null };
+      elements.game.setPointerCapture?.(e.pointerId); // keep the drag when it leaves the board
     },
 
     /**
-     * Handles touch end for swipe direction detection
-     * @param {TouchEvent} e - Touch event
+     * Updates the drag's direction and its arrow
+     * @param {PointerEvent} e - Pointer event
      */
-    handleTouchEnd(e) {
-      if (state.touchStartX === null || state.touchStartY === null) return;
-      
-      const touch = e.changedTouches[0];
-      const deltaX = touch.clientX - state.touchStartX;
-      const deltaY = touch.clientY - state.touchStartY;
-      
-      let direction = null;
-
-      // Determine swipe direction based on larger delta
-      if (Math.abs(deltaX) > Math.abs(deltaY)) {
-        if (deltaX > SWIPE_THRESHOLD) {
-          direction = 'ArrowRight';
-        } else if (deltaX < -SWIPE_THRESHOLD) {
-          direction = 'ArrowLeft';
-        }
-      } else {
-        if (deltaY > SWIPE_THRESHOLD) {
-          direction = 'ArrowDown';
-        } else if (deltaY < -SWIPE_THRESHOLD) {
-          direction = 'ArrowUp';
-        }
-      }
-      
-      if (direction) {
-        GameLogic.move(direction);
-      }
-      
-      // Reset touch tracking
-      state.touchStartX = state.touchStartY = null;
+    handlePointerMove(e) {
+      if (state.drag?.pointerId !== e.pointerId) return;
+
+      const direction = this._getDragDirection(e);
+      if (direction === state.drag.direction) return;
+      state.drag.direction = direction;
+      UIService.showDragArrow(state.showDragArrow ? direction : null);
+    },
+
+    /**
+     * Ends the drag, moving in its direction if it went far enough
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerUp(e) {
+      if (state.drag?.pointerId !== e.pointerId) return;
+
+      const direction = this._getDragDirection(e);
+      this.handlePointerCancel(e);
+      if (direction) MoveQueue.push(direction);
+    },
+
+    /**
+     * Drops the drag without moving
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerCancel(e) {
+      if (state.drag?.pointerId !== e.pointerId) return;
+
+      state.drag = null;
+      UIService.showDragArrow(null);
+    },
+
+    /**
+     * Reads the drag's direction along its longer axis, once it covers
+     * enough of a cell to count
+     * @private
+     * @param {PointerEvent} e - Pointer event
+     * @returns {string|null} Direction key, or null if the drag is too short
+     */
+    _getDragDirection(e) {
+      const deltaX = e.clientX - state.drag.x;
+      const deltaY = e.clientY - state.drag.y;
+      const cellSize = Math.min(
+        elements.game.offsetWidth / state.cols,
+        elements.game.offsetHeight / state.rows
+      );
+      const threshold = Math.max(cellSize * SWIPE.CELL_FRACTION, SWIPE.MIN_DISTANCE);
+
+      if (Math.max(Math.abs(deltaX), Math.abs(deltaY)) < threshold) return null;
+      if (Math.abs(deltaX) > Math.abs(deltaY)) return deltaX > 0 ? 'ArrowRight' : 'ArrowLeft';
+      return deltaY > 0 ? 'ArrowDown' : 'ArrowUp';
     },
 
     /**
@@ -1639,31 +7082,97 @@ const BulbGame = (() => {
      * Handles save settings button click
      */
     handleSaveSettings() {
-      if (state.size !== state.selectedSize || state.gameMode !== (elements.gameModeToggleBtn.checked ? 'quest' : 'infinity')) {
-        GameLogic._saveCurrentGameStats(); // Save current game before changing size or mode
-        state.size = state.selectedSize;
-        state.gameMode = elements.gameModeToggleBtn.checked ? 'quest' : 'infinity';
+      const selectedMode = elements.gameModeToggleBtn.checked ? 'quest' : 'infinity';
+      const difficultyChanged = state.difficulty !== state.selectedDifficulty;
+      state.difficulty = state.selectedDifficulty;
+      const spawn = SpawnService.readSettings();
+
+      const sizeChanged = state.rows !== state.selectedRows || state.cols !== state.selectedCols;
+      const timed = elements.timedToggleBtn?.checked ?? state.timedMode;
+      const timedChanged = timed !== state.timedMode;
+      state.timedMode = timed;
+
+      if (sizeChanged || state.gameMode !== selectedMode || timedChanged ||
+          (difficultyChanged && selectedMode === 'quest' && !state.daily) ||
+          (spawn.changed && selectedMode === 'infinity')) {
+        GameLogic._saveCurrentGameStats(); // Save current game before changing size, mode, difficulty or spawns
+        SpawnService.apply(spawn); // after the old game's stats are saved with its own policy, before the new game draws spawns
+        state.daily = null;
+        state.level = null;
+        state.rows = state.selectedRows;
+        state.cols = state.selectedCols;
+        state.gameMode = selectedMode;
+        // A score never spans two sizes, modes or spawn policies
+        Object.assign(state, { moves: 0, score: 0, levelMoves: 0, levelScore: 0, levelPairs: 0, totalMoves: 0, totalScore: 0 });
+        RandomService.reseed();
+        TimerService.reset();
         this.createGrid(); // Re-create grid with new size/mode
+      } else {
+        SpawnService.apply(spawn);
       }
-      
+
+      StorageService.saveState();
+      UIService.hideSettings();
+    },
+
+    /**
+     * Handles play seed button click: applies the settings chosen on the
+     * screen, as saving them would, and starts a new game from the typed-in seed
+     */
+    handlePlaySeed() {
+      const seed = elements.seedInput?.value.trim();
+      if (!seed) return;
+
+      state.difficulty = state.selectedDifficulty;
+      state.timedMode = elements.timedToggleBtn?.checked ?? state.timedMode;
+      GameLogic.restart({
+        seed,
+        rows: state.selectedRows,
+        cols: state.selectedCols,
+        mode: elements.gameModeToggleBtn.checked ? 'quest' : 'infinity',
+        spawn: SpawnService.readSettings()
+      });
       StorageService.saveState();
+      elements.seedInput.value = '';
+      UIService.hideSettings();
+    },
+
+    /**
+     * Handles daily button click
+     */
+    handleDailyClick() {
+      DailyService.start();
       UIService.hideSettings();
     },
   };
 
   // === Public API ===
   return {
-    init: GameSetup.init.bind(GameSetup)
+    init: GameSetup.init.bind(GameSetup),
+    /**
+     * Plays a move as if its arrow key was pressed
+     * @param {string} direction - 'ArrowUp', 'ArrowDown', 'ArrowLeft' or 'ArrowRight'
+     * @returns {boolean} The board changed; false too while a move, overlay or level generation is in the way
+     */
+    move(direction) {
+      if (!DIRECTION_DELTAS[direction]) throw new Error(`unknown direction "${direction}"`);
+      return GameLogic.move(direction);
+    },
+    undo: GameLogic.undo.bind(GameLogic),
+    restart: GameLogic.restart.bind(GameLogic),
+    getState: GameLogic.getState.bind(GameLogic),
+    loadBoard: GameLogic.loadBoard.bind(GameLogic),
+    setMode: GameLogic.setMode.bind(GameLogic),
+    on: EventService.on.bind(EventService),
+    off: EventService.off.bind(EventService)
   };
 })();
 
 // Initialize the game when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-  try {
-    BulbGame.init();
-  } catch (error) {
+  BulbGame.init().catch(error => {
     console.error('[BulbGame] Failed to initialize:', error);
-  }
+  });
 });
 
 
@@ -0,0 +1,440 @@
+/**
+ * Bulb It - Quest solver
+ * Searches move sequences that empty a quest board, using the exact rules of
+ * the headless engine. Runs as a Web Worker (new Worker('solver.js')) so the
+ * UI thread never blocks, or in Node via require('./solver.js').
+ */
+
+if (typeof importScripts === 'function' && typeof BulbEngine === 'undefined') {
+  importScripts('engine.js');
+}
+
+const BulbSolver = (() => {
+  const Engine = typeof BulbEngine !== 'undefined' ? BulbEngine : require('./engine.js');
+
+  // === Constants ===
+  const DEFAULT_MAX_NODES = 100000;
+  const DEFAULT_EXACT_NODES = 5000; // breadth-first budget for proving a generated level's par
+  const DIRECTIONS = Object.keys(Engine.DIRECTION_DELTAS);
+
+  // Move weights tried when looking for shorter solutions
+  const SHORTENING_WEIGHTS = [2, 8];
+
+  // Fixed difficulty bands by effort (see grade): a level belongs to the
+  // hardest band whose lower bound its effort reaches
+  const DIFFICULTY_EFFORTS = {
+    easy: 0,
+    medium: 3,
+    hard: 4.5
+  };
+
+  // Key characters for cells that aren't free tiles
+  const SPECIAL_KEYS = {
+    [Engine.Cell.WALL]: '#',
+    [Engine.Cell.SINK]: '*'
+  };
+
+  /**
+   * @typedef {Object} GeneratedLevel
+   * @property {Array<Array<number|null>>} board - Proven-solvable starting board
+   * @property {Array<string>} path - Shortest solution found
+   * @property {number} par - Length of that solution
+   * @property {boolean} optimal - No shorter solution exists; otherwise par is only the best known
+   * @property {number} branching - Average number of playable directions along it
+   * @property {number} rating - Difficulty rating: par * log2(branching)
+   * @property {number} effort - Rating per bit of the starting tiles, comparable across board sizes
+   * @property {string} difficulty - Band the level's effort falls in (see DIFFICULTY_EFFORTS)
+   */
+
+  /**
+   * @typedef {Object} SolveResult
+   * @property {string} status - 'solved' | 'unsolvable' | 'unknown'
+   * @property {Array<string>} path - Directions that clear the board (when solved)
+   * @property {number} explored - Positions expanded during the search
+   * @property {boolean} [optimal] - The path is proven to be a shortest one (solveShortest only)
+   */
+
+  // === Priority Queue ===
+  /**
+   * Creates binary min-heap ordered by `priority`
+   * @private
+   * @returns {Object} Heap with push/pop/size
+   */
+  function createHeap() {
+    const items = [];
+    return {
+      size: () => items.length,
+      push(item) {
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+          const parent = (i - 1) >> 1;
+          if (items[parent].priority <= items[i].priority) break;
+          [items[parent], items[i]] = [items[i], items[parent]];
+          i = parent;
+        }
+      },
+      pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+          items[0] = last;
+          let i = 0;
+          for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+            if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+            if (smallest === i) break;
+            [items[smallest], items[i]] = [items[i], items[smallest]];
+            i = smallest;
+          }
+        }
+        return top;
+      }
+    };
+  }
+
+  // === Search Helpers ===
+
+  /**
+   * Serializes board into a compact key for the visited set
+   * @param {Array<Array<number|string|null>>} board - Board
+   * @returns {string} Position key
+   */
+  function getPositionKey(board) {
+    let key = '';
+    for (const row of board) {
+      for (const value of row) {
+        if (value === null) {
+          key += '.';
+        } else if (Engine.Cell.isTile(value)) {
+          const offset = Engine.Cell.isLocked(value) ? 96 : 48;
+          key += String.fromCharCode(offset + Math.log2(Engine.Cell.getValue(value)));
+        } else {
+          key += SPECIAL_KEYS[value];
+        }
+      }
+    }
+    return key;
+  }
+
+  /**
+   * Estimates how far a board is from being cleared: remaining mass plus
+   * a penalty per tile, since crowded boards leave no room to split
+   * @param {Array<Array<number|string|null>>} board - Board
+   * @returns {number} Heuristic cost
+   */
+  function estimateCost(board) {
+    let cost = 0;
+    for (const row of board) {
+      for (const value of row) {
+        if (Engine.Cell.isTile(value)) cost += Engine.Cell.getValue(value) + 2;
+      }
+    }
+    return cost;
+  }
+
+  /**
+   * Rebuilds direction list by walking parent links
+   * @private
+   */
+  function buildPath(node) {
+    const path = [];
+    for (let current = node; current.direction; current = current.parent) {
+      path.unshift(current.direction);
+    }
+    return path;
+  }
+
+  /**
+   * Searches for a sequence of moves that clears the board (best-first).
+   * Exhausting every reachable position proves the board can't be cleared.
+   * @param {Array<Array<number|null>>} board - Board to solve
+   * @param {Object} [options] - Search options
+   * @param {number} [options.maxNodes=100000] - Positions to expand before giving up
+   * @param {number} [options.moveWeight=0] - Cost per move made; higher favours shorter paths
+   * @returns {SolveResult} Search result
+   */
+  function solve(board, { maxNodes = DEFAULT_MAX_NODES, moveWeight = 0 } = {}) {
+    if (Engine.Board.isCleared(board)) {
+      return { status: 'solved', path: [], explored: 0 };
+    }
+
+    const heap = createHeap();
+    const visited = new Set([getPositionKey(board)]);
+    let explored = 0;
+
+    heap.push({ board, parent: null, direction: null, depth: 0, priority: estimateCost(board) });
+
+    while (heap.size() > 0) {
+      if (explored >= maxNodes) {
+        return { status: 'unknown', path: [], explored };
+      }
+
+      const node = heap.pop();
+      explored++;
+
+      for (const direction of DIRECTIONS) {
+        const result = Engine.move(node.board, direction);
+        if (!result.changed) continue;
+
+        const child = { board: result.board, parent: node, direction, depth: node.depth + 1 };
+        if (Engine.Board.isCleared(result.board)) {
+          return { status: 'solved', path: buildPath(child), explored };
+        }
+
+        const key = getPositionKey(result.board);
+        if (visited.has(key) || !Engine.Rules.hasAvailableMove(result.board)) continue;
+        visited.add(key);
+
+        child.priority = estimateCost(result.board) + moveWeight * child.depth;
+        heap.push(child);
+      }
+    }
+
+    return { status: 'unsolvable', path: [], explored };
+  }
+
+  /**
+   * Searches positions in order of move count, so the first clearing
+   * sequence found is a shortest one
+   * @private
+   */
+  function solveBreadthFirst(board, maxNodes) {
+    let frontier = [{ board, parent: null, direction: null }];
+    const visited = new Set([getPositionKey(board)]);
+    let explored = 0;
+
+    while (frontier.length > 0) {
+      const next = [];
+      for (const node of frontier) {
+        if (explored >= maxNodes) {
+          return { status: 'unknown', path: [], explored };
+        }
+        explored++;
+
+        for (const direction of DIRECTIONS) {
+          const result = Engine.move(node.board, direction);
+          if (!result.changed) continue;
+
+          const child = { board: result.board, parent: node, direction };
+          if (Engine.Board.isCleared(result.board)) {
+            return { status: 'solved', path: buildPath(child), explored };
+          }
+
+          const key = getPositionKey(result.board);
+          if (visited.has(key) || !Engine.Rules.hasAvailableMove(result.board)) continue;
+          visited.add(key);
+          next.push(child);
+        }
+      }
+      frontier = next;
+    }
+
+    return { status: 'unsolvable', path: [], explored };
+  }
+
+  /**
+   * Finds the shortest solution within budget. A breadth-first search proves
+   * its answer minimal; when it runs out of budget, re-searching best-first with
+   * increasing move weights gives a short, but not proven shortest, solution.
+   * @param {Array<Array<number|null>>} board - Board to solve
+   * @param {Object} [options] - Search options
+   * @param {number} [options.maxNodes=100000] - Budget for each search
+   * @param {boolean} [options.exact=true] - Try the breadth-first search first
+   * @returns {SolveResult} Shortest result found; `optimal` tells whether it is proven minimal
+   */
+  function solveShortest(board, { maxNodes = DEFAULT_MAX_NODES, exact = true } = {}) {
+    if (Engine.Board.isCleared(board)) {
+      return { status: 'solved', path: [], explored: 0, optimal: true };
+    }
+
+    let explored = 0;
+    if (exact) {
+      const result = solveBreadthFirst(board, maxNodes);
+      if (result.status !== 'unknown') return { ...result, optimal: result.status === 'solved' };
+      explored = result.explored;
+    }
+
+    let best = solve(board, { maxNodes });
+    best = { ...best, explored: best.explored + explored, optimal: false };
+    if (best.status !== 'solved') return best;
+
+    SHORTENING_WEIGHTS.forEach(moveWeight => {
+      const result = solve(board, { maxNodes, moveWeight });
+      if (result.status === 'solved' && result.path.length < best.path.length) {
+        best = { ...result, explored: best.explored + result.explored, optimal: false };
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Grades a solved board by solution length and branching factor. Effort
+   * divides the rating by the bits of all starting tiles (log2 of each value),
+   * so boards with more or bigger tiles don't grade harder just for their size.
+   * @param {Array<Array<number|null>>} board - Starting board
+   * @param {Array<string>} path - Solution
+   * @returns {{par: number, branching: number, rating: number, effort: number}} Grade
+   */
+  function grade(board, path) {
+    let choices = 0;
+    let current = board;
+
+    path.forEach(direction => {
+      choices += DIRECTIONS.filter(candidate => Engine.move(current, candidate).changed).length;
+      current = Engine.move(current, direction).board;
+    });
+
+    const bits = board.flat()
+      .filter(cell => Engine.Cell.isTile(cell))
+      .reduce((sum, cell) => sum + Math.log2(Engine.Cell.getValue(cell)), 0);
+    const par = path.length;
+    const branching = par > 0 ? choices / par : 0;
+    const rating = par * Math.log2(Math.max(branching, 1));
+    return {
+      par,
+      branching: Math.round(branching * 100) / 100,
+      rating: Math.round(rating),
+      effort: bits > 0 ? Math.round(rating / bits * 100) / 100 : 0
+    };
+  }
+
+  /**
+   * Names the difficulty band an effort falls in
+   * @param {number} effort - Effort (see grade)
+   * @returns {string} 'easy' | 'medium' | 'hard'
+   */
+  function classify(effort) {
+    return Object.keys(DIFFICULTY_EFFORTS)
+      .filter(difficulty => effort >= DIFFICULTY_EFFORTS[difficulty])
+      .pop();
+  }
+
+  /**
+   * How far an effort lies outside a difficulty's band, 0 inside it
+   * @private
+   */
+  function getBandDistance(effort, difficulty) {
+    const bands = Object.keys(DIFFICULTY_EFFORTS);
+    const index = bands.indexOf(difficulty);
+    const low = DIFFICULTY_EFFORTS[difficulty];
+    const high = DIFFICULTY_EFFORTS[bands[index + 1]] ?? Infinity;
+    return Math.max(low - effort, effort - high, 0);
+  }
+
+  /**
+   * Lays out a candidate board: walls and sinks first, then the tiles, the
+   * first `locked` of which start locked. At least one tile is always free.
+   * @private
+   */
+  function layoutBoard(rows, cols, tiles, { walls = 0, sinks = 0, locked = 0 }, rng) {
+    const fixed = [
+      ...Array(walls).fill(Engine.Cell.WALL),
+      ...Array(sinks).fill(Engine.Cell.SINK)
+    ];
+    const lockCount = Math.min(locked, tiles.length - 1);
+    const cells = tiles.map((value, index) => index < lockCount ? Engine.Cell.lock(value) : value);
+
+    const board = Engine.Board.placeTiles(Engine.Board.create(rows, cols), fixed, rng);
+    return Engine.Board.placeTiles(board, cells, rng);
+  }
+
+  /**
+   * Generates a quest board that has been proven solvable. Candidate layouts
+   * are solved and graded until one falls in the difficulty's band; if none of
+   * `candidates` does, the one closest to it is kept and its `difficulty` says
+   * where it really falls. The kept level's par is then proven with an exact search
+   * where the budget allows; otherwise it is only the best known (`optimal` false).
+   * @param {Object} options - Generator options
+   * @param {number} options.rows - Row count
+   * @param {number} options.cols - Column count
+   * @param {Array<number>} options.tiles - Tile values to place
+   * @param {string|number} options.seed - Seed; equal seeds give equal levels
+   * @param {Object} [options.special] - Special cells: `{ walls, sinks, locked }` counts
+   * @param {string} [options.difficulty='medium'] - 'easy' | 'medium' | 'hard'
+   * @param {number} [options.candidates=4] - Solvable layouts to grade at most
+   * @param {number} [options.maxAttempts=12] - Layouts to try at most
+   * @param {number} [options.maxNodes=20000] - Search budget per layout
+   * @param {number} [options.exactNodes=5000] - Budget for proving the kept level's par
+   * @returns {GeneratedLevel|null} Level, or null if no solvable layout was found
+   */
+  function generate({
+    rows,
+    cols,
+    tiles,
+    seed,
+    special = {},
+    difficulty = 'medium',
+    candidates = 4,
+    maxAttempts = 12,
+    maxNodes = 20000,
+    exactNodes = DEFAULT_EXACT_NODES
+  }) {
+    const rng = Engine.Random.toFunction(Engine.Random.create(seed));
+    const target = difficulty in DIFFICULTY_EFFORTS ? difficulty : 'medium';
+    let level = null;
+    let distance = Infinity;
+    let graded = 0;
+
+    for (let attempt = 0; attempt < maxAttempts && graded < candidates && distance > 0; attempt++) {
+      const board = layoutBoard(rows, cols, tiles, special, rng);
+      const result = solveShortest(board, { maxNodes, exact: false });
+      if (result.status !== 'solved') continue;
+
+      graded++;
+      const candidate = { board, path: result.path, ...grade(board, result.path) };
+      const candidateDistance = getBandDistance(candidate.effort, target);
+      if (candidateDistance < distance) {
+        level = candidate;
+        distance = candidateDistance;
+      }
+    }
+
+    if (!level) return null;
+
+    // Only the kept level gets the costly exact search that proves its par
+    const exact = solveBreadthFirst(level.board, exactNodes);
+    if (exact.status === 'solved') {
+      level = { ...level, path: exact.path, ...grade(level.board, exact.path), optimal: true };
+    } else {
+      level = { ...level, optimal: false };
+    }
+    return { ...level, difficulty: classify(level.effort) };
+  }
+
+  return {
+    DEFAULT_MAX_NODES,
+    DIFFICULTY_EFFORTS,
+    getPositionKey,
+    estimateCost,
+    solve,
+    solveShortest,
+    grade,
+    classify,
+    generate
+  };
+})();
+
+// === Worker Glue ===
+if (typeof importScripts === 'function') {
+  const REQUESTS = {
+    solve: (board, options) => BulbSolver.solve(board, options),
+    shortest: (board, options) => BulbSolver.solveShortest(board, options),
+    generate: (board, options) => BulbSolver.generate(options)
+  };
+
+  self.onmessage = ({ data }) => {
+    const { id, type, board, options } = data;
+    try {
+      const result = (REQUESTS[type] ?? REQUESTS.solve)(board, options);
+      self.postMessage({ id, result });
+    } catch (error) {
+      self.postMessage({ id, error: String(error?.message ?? error) });
+    }
+  };
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BulbSolver;
+}